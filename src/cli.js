@@ -1,8 +1,12 @@
 #!/usr/bin/env node
 
-import { Command } from 'commander';
+import { Command, Option } from 'commander';
 import chalk from 'chalk';
 import { protect } from './commands/protect.js';
+import { cacheClear } from './commands/cache.js';
+import { restore } from './commands/restore.js';
+import { init } from './commands/init.js';
+import { configValidate } from './commands/config.js';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
@@ -19,6 +23,9 @@ const { version } = packageJson;
 
 const program = new Command();
 
+// Collect the values of an option that can be repeated
+const collect = (value, previous) => [...previous, value];
+
 program
   .name('shield')
   .description('ByteHide Shield JavaScript obfuscation CLI')
@@ -28,21 +35,104 @@ program
 program
   .command('protect')
   .description('Obfuscate JavaScript files using ByteHide Shield')
-  .argument('<patterns...>', 'File patterns to obfuscate (glob patterns supported)')
+  .argument('<patterns...>', 'File patterns to obfuscate (glob patterns supported), or - to read from stdin')
   .option('-t, --token <token>', 'ByteHide Shield project token', process.env.BYTEHIDE_SHIELD_TOKEN || process.env.BYTEHIDE_TOKEN)
   .option('-c, --config <path>', 'Path to custom configuration file (default: shield.config.json)')
+  .option('--profile <name>', 'Configuration profile to apply (env: SHIELD_PROFILE)')
   .option('-o, --output-ext <extension>', 'Extension for obfuscated files', '')
   .option('-d, --dry-run', 'Show which files would be obfuscated without making changes', false)
+  .option('--ignore <pattern>', 'Exclude files matching a pattern (.gitignore syntax, repeatable)', collect, [])
+  .option('--stdin-filepath <path>', 'Path of the code read from stdin, used to find the config and match overrides and ignore rules')
+  .option('-w, --watch', 'Keep running and protect matched files again when they change', false)
   .option('-b, --backup', 'Create backup of original files before obfuscation', true)
   .option('--no-backup', 'Disable backup creation even if enabled in config')
+  .option('--backup-dir <directory>', 'Write backups to a directory mirroring the source tree instead of next to each file')
   .option('-O, --output <path>', 'Output file path for single file obfuscation')
   .option('-D, --output-dir <directory>', 'Output directory for obfuscated files')
+  .option('--root <directory>', 'Directory whose tree is mirrored under --output-dir (default: base of the glob patterns)')
+  .addOption(new Option('--base-dir <directory>', 'Alias of --root').hideHelp())
   .option('--source-map', 'Generate source map files (.map)', false)
   .option('--source-map-path <path>', 'Custom path for source map file (single file only)')
+  .option('--inline-source-map', 'Embed the source map in the protected file instead of writing a .map file', false)
   .option('--symbols', 'Save identifier names cache (.symbols.json)', false)
   .option('--symbols-path <path>', 'Custom path for symbols cache file (single file only)')
+  .option('--symbols-in <file>', 'Identifier names cache to start from, shared by all files')
+  .option('--symbols-out <file>', 'Write the identifier names of all files in the run to one cache file')
+  .option('--watermark <text>', 'Custom comment for the watermark line of protected files')
+  .option('--no-watermark', 'Do not add a watermark line to protected files')
+  .option('--no-bom', 'Write protected files without a UTF-8 BOM')
+  .option('--force', 'Protect files again even if they already carry a watermark', false)
+  .option('--no-verify', 'Skip the syntax check of the protected code')
+  .option('--atomic', 'Write the outputs only if every file succeeds, all at once at the end of the run', false)
+  .option('--verify-command <command>', 'Smoke test run after writing, per file with {file} or once per batch; outputs are reverted if it fails')
+  .option('--no-cache', 'Always call the API, ignoring cached results of unchanged files')
+  .option('--cache-dir <directory>', 'Directory for cached protection results (default: .shield-cache)')
+  .option('--concurrency <n>', 'Number of files to protect in parallel (default: 1)')
+  .option('--retries <n>', 'Retries for rate-limited (429), 5xx and connection errors (default: 3)')
+  .option('--retry-delay <ms>', 'Base delay in milliseconds for exponential retry backoff (default: 1000)')
+  .option('--timeout <ms>', 'Time limit for each API request in milliseconds, 0 to disable (default: 300000)')
+  .option('--bail', 'Stop at the first failed file', false)
+  .option('--max-failures <n>', 'Stop after this many failed files')
+  .option('--fail-on-skipped', 'Count already protected files as failures', false)
+  .option('--reporter <format>', 'Machine-readable report format: json, junit, plain')
+  .option('--report-file <path>', 'Write the report to a file instead of stdout (default reporter: json)')
+  .option('-q, --quiet', 'Only print errors, without spinners, progress bar or summary', false)
+  .option('--api-url <url>', 'ByteHide Shield API endpoint (env: BYTEHIDE_SHIELD_API_URL)')
+  .option('--proxy <url>', 'Proxy URL for API requests (default: HTTPS_PROXY/HTTP_PROXY)')
+  .option('--ca-file <path>', 'PEM file with additional CA certificates (env: BYTEHIDE_SHIELD_CA_FILE)')
   .action(protect);
 
+program
+  .command('init')
+  .description('Create a shield.config.json configuration file')
+  .option('-c, --config <path>', 'Path of the configuration file to create', 'shield.config.json')
+  .option('-p, --preset <name>', 'Options preset: default, low-obfuscation, medium-obfuscation, high-obfuscation')
+  .option('--target <target>', 'Runtime of the protected code: browser, browser-no-eval, node')
+  .option('-t, --token <token>', 'ByteHide Shield project token to store in the file')
+  .option('--token-from-env', 'Do not store a token, read BYTEHIDE_SHIELD_TOKEN at runtime instead')
+  .option('--cache-dir <directory>', 'Directory for cached protection results to store in the file (default: .shield-cache)')
+  .option('--backup-dir <directory>', 'Directory for backups to store in the file (default: next to each file)')
+  .option('--gitignore', 'Add the cache and backup files to .gitignore')
+  .option('--no-gitignore', 'Do not modify .gitignore')
+  .option('-f, --force', 'Overwrite an existing configuration file', false)
+  .option('-y, --yes', 'Use defaults for anything not given as a flag, without prompting', false)
+  .action(init);
+
+program
+  .command('restore')
+  .description('Restore original files from the backups created by protect')
+  .argument('[patterns...]', 'Original files to restore (glob patterns supported, default: all backups)')
+  .option('-c, --config <path>', 'Path to custom configuration file (default: shield.config.json)')
+  .option('--profile <name>', 'Configuration profile to apply (env: SHIELD_PROFILE)')
+  .option('--backup-dir <directory>', 'Directory the backups were written to with protect --backup-dir')
+  .option('--clean', 'Delete the backups and generated .map/.symbols.json files after restoring', false)
+  .option('-d, --dry-run', 'Show which files would be restored without making changes', false)
+  .action(restore);
+
+const configCommand = program
+  .command('config')
+  .description('Inspect configuration files');
+
+configCommand
+  .command('validate')
+  .description('Check a configuration file for unknown options and invalid values')
+  .argument('[path]', 'Path to the configuration file (default: shield.config.json)')
+  .option('--strict', 'Also fail on warnings, such as unknown options', false)
+  .option('--profile <name>', 'Configuration profile to apply (env: SHIELD_PROFILE)')
+  .action(configValidate);
+
+const cacheCommand = program
+  .command('cache')
+  .description('Manage the local protection cache');
+
+cacheCommand
+  .command('clear')
+  .description('Remove all cached protection results')
+  .option('-c, --config <path>', 'Path to custom configuration file (default: shield.config.json)')
+  .option('--profile <name>', 'Configuration profile to apply (env: SHIELD_PROFILE)')
+  .option('--cache-dir <directory>', 'Directory for cached protection results (default: .shield-cache)')
+  .action(cacheClear);
+
 program.parse(process.argv);
 
 // Show help if no command is provided
@@ -0,0 +1,28 @@
+import chalk from 'chalk';
+import logSymbols from 'log-symbols';
+import { loadConfig } from '../utils/config.js';
+import { clearCache, DEFAULT_CACHE_DIR } from '../utils/cache.js';
+
+/**
+ * Removes all cached protection results
+ * @param {Object} options - CLI options
+ * @returns {Promise<void>}
+ */
+export async function cacheClear(options) {
+  try {
+    // The cache directory can be customized in the config, which is optional here
+    const config = await loadConfig(options.config, [], false, { profile: options.profile });
+    const cacheDir = options.cacheDir || config.cacheDir || DEFAULT_CACHE_DIR;
+    
+    const count = await clearCache(cacheDir);
+    
+    if (count === 0) {
+      console.log(chalk.blue(`${logSymbols.info} Cache is already empty: ${cacheDir}`));
+    } else {
+      console.log(chalk.green(`${logSymbols.success} Removed ${chalk.bold(count)} cached result(s) from ${cacheDir}`));
+    }
+  } catch (error) {
+    console.error(chalk.red(`${logSymbols.error} Error: ${error.message}`));
+    process.exit(1);
+  }
+}
@@ -0,0 +1,48 @@
+import chalk from 'chalk';
+import logSymbols from 'log-symbols';
+import { loadConfig, validateConfigRequirement } from '../utils/config.js';
+import { validateConfig } from '../utils/schema.js';
+import { getDisplayPath } from '../utils/files.js';
+import { EXIT_CODES } from '../utils/exit-codes.js';
+
+/**
+ * Prints configuration validation problems
+ * @param {string[]} errors - Error messages
+ * @param {string[]} warnings - Warning messages
+ */
+export function printValidationResult(errors, warnings) {
+  warnings.forEach(warning => {
+    console.log(chalk.yellow(`${logSymbols.warning} ${warning}`));
+  });
+  errors.forEach(error => {
+    console.error(chalk.red(`${logSymbols.error} ${error}`));
+  });
+}
+
+/**
+ * Validates a configuration file against the option schema
+ * @param {string|undefined} configPath - Path to the configuration file
+ * @param {Object} options - CLI options
+ * @returns {Promise<void>}
+ */
+export async function configValidate(configPath, options) {
+  try {
+    // Same discovery as protect when no path is given
+    const resolvedPath = await validateConfigRequirement(configPath || null, [], true);
+    const config = await loadConfig(resolvedPath, [], true, { profile: options.profile });
+    const { errors, warnings } = validateConfig(config);
+    const displayPath = getDisplayPath(resolvedPath);
+    
+    printValidationResult(errors, warnings);
+    
+    if (errors.length > 0 || (options.strict && warnings.length > 0)) {
+      console.error(chalk.red(`${logSymbols.error} ${displayPath} is invalid.`));
+      process.exit(EXIT_CODES.CONFIG_ERROR);
+    }
+    
+    console.log(chalk.green(`${logSymbols.success} ${displayPath} is valid.`));
+  } catch (error) {
+    console.error(chalk.red(`${logSymbols.error} Error: ${error.message}`));
+    process.exit(EXIT_CODES.CONFIG_ERROR);
+  }
+}
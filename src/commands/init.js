@@ -0,0 +1,271 @@
+import chalk from 'chalk';
+import path from 'path';
+import fs from 'fs/promises';
+import readline from 'readline';
+import logSymbols from 'log-symbols';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { fileExists, readFile, writeFile } from '../utils/files.js';
+import { DEFAULT_CACHE_DIR } from '../utils/cache.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Sample configuration shipped with the package, used as the starting option set
+const SAMPLE_CONFIG_PATH = path.resolve(__dirname, '../../shield.config.sample.json');
+
+// Placeholder written when no token is given, as in the sample
+const TOKEN_PLACEHOLDER = 'YOUR_PROJECT_TOKEN';
+
+// Option overrides applied on top of the sample for each preset
+const PRESETS = {
+  'default': {},
+  'low-obfuscation': {
+    controlFlowFlattening: false,
+    deadCodeInjection: false,
+    numbersToExpressions: false,
+    selfDefending: false,
+    splitStrings: false,
+    stringArrayCallsTransform: false,
+    stringArrayEncoding: [],
+    stringArrayThreshold: 0.5,
+    transformObjectKeys: false
+  },
+  'medium-obfuscation': {
+    controlFlowFlatteningThreshold: 0.5,
+    deadCodeInjectionThreshold: 0.2,
+    stringArrayWrappersCount: 2
+  },
+  'high-obfuscation': {
+    controlFlowFlatteningThreshold: 1,
+    deadCodeInjectionThreshold: 1,
+    debugProtection: true,
+    debugProtectionInterval: 4000,
+    disableConsoleOutput: true,
+    splitStringsChunkLength: 5,
+    stringArrayCallsTransformThreshold: 1,
+    stringArrayEncoding: ['rc4'],
+    stringArrayThreshold: 1,
+    stringArrayWrappersCount: 5,
+    stringArrayWrappersParametersMaxCount: 5,
+    stringArrayWrappersType: 'function'
+  }
+};
+
+// Supported values for the target option
+const TARGETS = ['browser', 'browser-no-eval', 'node'];
+
+// Entry added to .gitignore for backups written next to each file
+const BACKUP_FILES_ENTRY = '*.backup';
+
+/**
+ * Creates a prompter that asks questions on the terminal
+ * @returns {Object} - Prompter with ask(question, defaultValue) and close()
+ */
+function createPrompter() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const pendingLines = [];
+  const waiting = [];
+
+  // Queue lines so answers typed ahead of a question are not lost
+  rl.on('line', line => {
+    if (waiting.length > 0) {
+      waiting.shift()(line);
+    } else {
+      pendingLines.push(line);
+    }
+  });
+  rl.on('close', () => {
+    waiting.splice(0).forEach(resolve => resolve(''));
+  });
+
+  return {
+    async ask(question, defaultValue) {
+      const hint = defaultValue !== '' ? chalk.gray(` (${defaultValue})`) : '';
+      process.stdout.write(`${chalk.cyan('?')} ${question}${hint}: `);
+      const answer = pendingLines.length > 0
+        ? pendingLines.shift()
+        : await new Promise(resolve => waiting.push(resolve));
+      return answer.trim() || defaultValue;
+    },
+    close() {
+      rl.close();
+    }
+  };
+}
+
+/**
+ * Asks the user for the values that were not given as flags
+ * @param {Object} options - CLI options
+ * @returns {Promise<Object>} - Options completed with the answers
+ */
+async function promptMissingOptions(options) {
+  const prompter = createPrompter();
+  const answers = { ...options };
+
+  try {
+    if (!answers.preset) {
+      answers.preset = await prompter.ask(`Preset [${Object.keys(PRESETS).join(', ')}]`, 'default');
+    }
+
+    if (!answers.target) {
+      answers.target = await prompter.ask(`Target [${TARGETS.join(', ')}]`, 'browser');
+    }
+
+    if (!answers.token && !answers.tokenFromEnv) {
+      const token = await prompter.ask('Project token (leave empty to read BYTEHIDE_SHIELD_TOKEN at runtime)', '');
+      if (token) {
+        answers.token = token;
+      } else {
+        answers.tokenFromEnv = true;
+      }
+    }
+
+    if (answers.gitignore === undefined) {
+      const addToGitignore = await prompter.ask('Add cache and backup files to .gitignore? [y/n]', 'y');
+      answers.gitignore = /^y(es)?$/i.test(addToGitignore);
+    }
+  } finally {
+    prompter.close();
+  }
+
+  return answers;
+}
+
+/**
+ * Builds a configuration from the sample option set
+ * @param {Object} options - Preset, target, token, cache and backup settings
+ * @returns {Object} - Configuration object
+ */
+function buildConfig({ preset = 'default', target = 'browser', token, tokenFromEnv, cacheDir, backupDir }) {
+  if (!PRESETS[preset]) {
+    throw new Error(`Unknown preset: ${preset}. Available presets: ${Object.keys(PRESETS).join(', ')}`);
+  }
+
+  if (!TARGETS.includes(target)) {
+    throw new Error(`Unknown target: ${target}. Available targets: ${TARGETS.join(', ')}`);
+  }
+
+  const sample = JSON.parse(readFileSync(SAMPLE_CONFIG_PATH, 'utf-8'));
+  const { ProjectToken, ...options } = sample;
+
+  const config = {
+    ...options,
+    ...PRESETS[preset],
+    optionsPreset: preset,
+    target,
+    // The sample locks to example.com, which would break any real deployment
+    domainLock: [],
+    domainLockRedirectUrl: 'about:blank'
+  };
+
+  // Browser-only protections make no sense for Node.js code
+  if (target === 'node') {
+    config.debugProtection = false;
+    config.debugProtectionInterval = 0;
+  }
+
+  if (cacheDir) {
+    config.cacheDir = cacheDir;
+  }
+
+  if (backupDir) {
+    config.backupDir = backupDir;
+  }
+
+  if (tokenFromEnv) {
+    return config;
+  }
+
+  return { ProjectToken: token || TOKEN_PLACEHOLDER, ...config };
+}
+
+/**
+ * Gets the .gitignore entry of a directory from the configuration
+ * @param {string} directory - Directory as written in the configuration
+ * @returns {string|null} - Entry, or null for a directory outside the project that .gitignore cannot match
+ */
+function getDirectoryEntry(directory) {
+  const normalized = path.normalize(directory).split(path.sep).join('/').replace(/\/+$/, '');
+  if (path.isAbsolute(directory) || normalized === '.' || normalized === '..' || normalized.startsWith('../')) {
+    return null;
+  }
+  return `${normalized}/`;
+}
+
+/**
+ * Gets the .gitignore entries for the cache and backups of a configuration
+ * @param {Object} config - Configuration written by init
+ * @returns {string[]} - Entries for the cache directory and the backups
+ */
+function getGitignoreEntries(config) {
+  const entries = [
+    getDirectoryEntry(config.cacheDir || DEFAULT_CACHE_DIR),
+    config.backupDir ? getDirectoryEntry(config.backupDir) : BACKUP_FILES_ENTRY
+  ];
+  return entries.filter(entry => entry !== null);
+}
+
+/**
+ * Adds the CLI artifacts to .gitignore, creating it if needed
+ * @param {string} directory - Directory of the .gitignore file
+ * @param {string[]} entries - Entries to add
+ * @returns {Promise<string[]>} - Entries that were added
+ */
+async function updateGitignore(directory, entries) {
+  const gitignorePath = path.join(directory, '.gitignore');
+  const content = fileExists(gitignorePath) ? await readFile(gitignorePath) : '';
+  const existing = content.split(/\r?\n/).map(line => line.trim());
+  const missing = entries.filter(entry => !existing.includes(entry));
+
+  if (missing.length === 0) {
+    return [];
+  }
+
+  const prefix = content && !content.endsWith('\n') ? '\n' : '';
+  const block = `${prefix}${content ? '\n' : ''}# ByteHide Shield\n${missing.join('\n')}\n`;
+  await fs.appendFile(gitignorePath, block, 'utf-8');
+
+  return missing;
+}
+
+/**
+ * Creates a shield.config.json file
+ * @param {Object} options - CLI options
+ * @returns {Promise<void>}
+ */
+export async function init(options) {
+  try {
+    const configPath = path.resolve(options.config || 'shield.config.json');
+
+    if (fileExists(configPath) && !options.force) {
+      console.error(chalk.red(`${logSymbols.error} Error: ${path.relative(process.cwd(), configPath)} already exists.`));
+      console.log(chalk.yellow(`${logSymbols.warning} Use --force to overwrite it.`));
+      process.exit(1);
+    }
+
+    // Ask for anything not given as a flag when a user is at the terminal
+    const settings = options.yes || !process.stdin.isTTY
+      ? options
+      : await promptMissingOptions(options);
+
+    const config = buildConfig(settings);
+    await writeFile(configPath, `${JSON.stringify(config, null, 2)}\n`);
+    console.log(chalk.green(`${logSymbols.success} Created ${path.relative(process.cwd(), configPath)}`));
+
+    if (config.ProjectToken === TOKEN_PLACEHOLDER) {
+      console.log(chalk.yellow(`${logSymbols.warning} Replace ${TOKEN_PLACEHOLDER} with your project token, or remove it and set BYTEHIDE_SHIELD_TOKEN.`));
+    } else if (!config.ProjectToken) {
+      console.log(chalk.blue(`${logSymbols.info} The project token will be read from the BYTEHIDE_SHIELD_TOKEN environment variable.`));
+    }
+
+    if (settings.gitignore) {
+      const added = await updateGitignore(path.dirname(configPath), getGitignoreEntries(config));
+      if (added.length > 0) {
+        console.log(chalk.green(`${logSymbols.success} Added ${added.join(', ')} to .gitignore`));
+      }
+    }
+  } catch (error) {
+    console.error(chalk.red(`${logSymbols.error} Error: ${error.message}`));
+    process.exit(1);
+  }
+}
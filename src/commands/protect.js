@@ -1,12 +1,17 @@
-import { glob } from 'glob';
 import chalk from 'chalk';
 import ora from 'ora';
 import path from 'path';
-import fs from 'fs/promises';
-import { existsSync } from 'fs';
-import { loadConfig, getToken } from '../utils/config.js';
-import { obfuscateFile, validateToken } from '../utils/obfuscate.js';
-import { fileExists, createBackup } from '../utils/files.js';
+import { loadConfig, getToken, getFileConfig, getMatchingOverrides, validateConfigRequirement } from '../utils/config.js';
+import { obfuscateFile, buildOutputs, validateToken, isAlreadyObfuscated } from '../utils/obfuscate.js';
+import { readFile, writeFile, getGlobBase, getDisplayPath } from '../utils/files.js';
+import { validateConfig } from '../utils/schema.js';
+import { REPORTERS, formatReport } from '../utils/reporters.js';
+import { EXIT_CODES, getBatchExitCode } from '../utils/exit-codes.js';
+import { watchDirectories } from '../utils/watcher.js';
+import { loadIgnoreRules, findExcludingRule, describeRule } from '../utils/ignore.js';
+import { mergeSymbols, saveSymbols } from '../utils/symbols.js';
+import { planProtection, runProtection, resolveRunSettings, findFiles, getOutputPath, getOutputFormat, getConfigForFile, getConfigPathForFile } from '../utils/batch.js';
+import { ConfigError, TokenError } from '../utils/errors.js';
 import logSymbols from 'log-symbols';
 import boxen from 'boxen';
 import cliProgress from 'cli-progress';
@@ -26,139 +31,613 @@ const createHeader = (text) => {
 };
 
 /**
- * Validates output path options based on input files
- * @param {Array} files - Array of input files
- * @param {Object} options - CLI options
- * @returns {boolean} - True if valid, exits process otherwise
+ * Describes the effective configuration of a file when the config has per-file overrides
+ * @param {Object} config - Configuration object
+ * @param {string} file - File path
+ * @returns {string} - Matching overrides and the options they set
  */
-function validateOutputOptions(files, options) {
-  // Single file special handling with output path
-  if (files.length === 1 && options.output) {
-    // Ensure the output directory exists
-    const outputDir = path.dirname(options.output);
-    if (!existsSync(outputDir)) {
-      console.error(chalk.red(`${logSymbols.error} Error: Output directory does not exist: ${outputDir}`));
-      process.exit(1);
+function describeFileConfig(config, file) {
+  const overrides = getMatchingOverrides(config, file);
+  if (overrides.length === 0) {
+    return 'base config';
+  }
+  
+  const fileConfig = getFileConfig(config, file);
+  const keys = [...new Set(overrides.flatMap(override => Object.keys(override.config)))];
+  const names = overrides.map(({ index }) => `overrides[${index}]`).join(', ');
+  
+  return `base config + ${names} → ${keys.map(key => `${key}: ${JSON.stringify(fileConfig[key])}`).join(', ')}`;
+}
+
+/**
+ * Writes the machine-readable report of a run to the report file, or to stdout without one
+ * @param {Object} report - Run result from runProtection()
+ * @param {Object} context - Console settings resolved by protect()
+ * @returns {Promise<void>}
+ */
+async function writeReport(report, context) {
+  const { options, reporter, log } = context;
+  if (!reporter) {
+    return;
+  }
+
+  const content = formatReport(reporter, report);
+  if (options.reportFile) {
+    await writeFile(options.reportFile, content);
+    log(chalk.blue(`${logSymbols.info} Report written to ${options.reportFile}`));
+  } else {
+    process.stdout.write(content);
+  }
+}
+
+/**
+ * Writes a report with no files for a run that had nothing to protect, so CI still finds one
+ * @param {Object} context - Console settings resolved by protect()
+ * @param {Date} startedAt - Start time of the run
+ * @returns {Promise<void>}
+ */
+async function writeEmptyReport(context, startedAt) {
+  await writeReport({
+    startedAt: startedAt.toISOString(),
+    durationMs: Date.now() - startedAt.getTime(),
+    interrupted: false,
+    bailed: false,
+    summary: { total: 0, success: 0, cached: 0, skipped: 0, failed: 0, cancelled: 0 },
+    verify: null,
+    files: []
+  }, context);
+}
+
+/**
+ * Lists the files left out by exclusion rules
+ * @param {Array<{file: string, rule: Object}>} excludedFiles - Excluded files and their rules
+ * @returns {void}
+ */
+function printExcludedFiles(excludedFiles) {
+  console.log(chalk.cyan('\nFiles excluded:'));
+  excludedFiles.forEach(({ file, rule }) => {
+    console.log(`${chalk.gray(logSymbols.info)} ${chalk.gray(file)} ${chalk.gray('excluded by')} ${chalk.yellow(describeRule(rule))}`);
+  });
+}
+
+/**
+ * Protects a batch of files and prints the results
+ * @param {Object} plan - Plan from planProtection()
+ * @param {Object} context - Console settings resolved by protect()
+ * @param {Object} [batchOptions] - Batch options
+ * @param {string[]} [batchOptions.files] - Files to protect (default: the planned files)
+ * @param {Date} [batchOptions.startedAt] - Start time of the run, for reports
+ * @param {boolean} [batchOptions.rebuild] - Print one line per file instead of a summary, used for watch mode changes
+ * @returns {Promise<{interrupted: boolean, exitCode: number}>} - Outcome of the batch
+ */
+async function runBatch(plan, context, { files = plan.files, startedAt = new Date(), rebuild = false } = {}) {
+  const { options, reporter, silent, interactive, log } = context;
+
+  // Configure progress bar
+  const progressBar = interactive && !rebuild
+    ? new cliProgress.SingleBar({
+      format: `${chalk.cyan('Progress')} |${chalk.magenta('{bar}')}| {percentage}% | {value}/{total} Files | ETA: {eta}s`,
+      barCompleteChar: '\u2588',
+      barIncompleteChar: '\u2591',
+      hideCursor: true
+    }, cliProgress.Presets.shades_classic)
+    : { start() {}, update() {}, stop() {} };
+
+  // Interrupt gracefully: pending files are cancelled by the run
+  const abortController = new AbortController();
+  let stopped = false;
+  const onInterrupt = () => {
+    if (abortController.signal.aborted) {
+      return;
     }
-    return true;
+    stopped = true;
+    progressBar.stop();
+    log(chalk.yellow(`\n${logSymbols.warning} Interrupted, cancelling pending files...`));
+    abortController.abort();
+  };
+  process.on('SIGINT', onInterrupt);
+  process.on('SIGTERM', onInterrupt);
+
+  let completedCount = 0;
+  const onProgress = (event) => {
+    if (event.type === 'bail') {
+      stopped = true;
+      progressBar.stop();
+      log(chalk.yellow(`\n${logSymbols.warning} Stopping after ${event.failures} failure(s), cancelling pending files...`));
+    } else if (event.type !== 'start') {
+      completedCount++;
+      if (!stopped) {
+        progressBar.update(completedCount);
+      }
+    }
+  };
+
+  log(chalk.cyan(`\nProtecting ${rebuild ? `${files.length} changed file(s)` : 'files'}${plan.concurrency > 1 ? ` (${plan.concurrency} at a time)` : ''}...`));
+  progressBar.start(files.length, 0);
+
+  const { failures, ...report } = await runProtection(plan, { files, signal: abortController.signal, onProgress, startedAt });
+
+  process.removeListener('SIGINT', onInterrupt);
+  process.removeListener('SIGTERM', onInterrupt);
+  progressBar.stop();
+
+  if (plan.sharedSymbols && options.symbolsOut) {
+    log(chalk.blue(`${logSymbols.info} Symbols saved to ${options.symbolsOut}`));
   }
 
-  // Multiple files with output path (not allowed)
-  if (files.length > 1 && options.output) {
-    console.error(chalk.red(`${logSymbols.error} Error: --output can only be used with a single input file.`));
-    console.log(chalk.yellow(`${logSymbols.warning} Use --output-dir to specify an output directory for multiple files.`));
-    process.exit(1);
+  const { interrupted, bailed, summary, verify, files: results } = report;
+
+  // Outcome of a verify command run once on the whole batch
+  if (verify && verify.passed) {
+    log(chalk.green(`${logSymbols.success} Verify command passed.`));
+  } else if (verify) {
+    const logFailure = silent ? console.error : console.log;
+    logFailure(chalk.red(`${logSymbols.error} ${verify.error}. Reverted ${verify.reverted} file(s).`));
+    verify.details.forEach(detail => {
+      logFailure(chalk.gray(`  ${detail}`));
+    });
   }
-  
-  // Custom source map path only for single file
-  if (files.length > 1 && options.sourceMapPath) {
-    console.error(chalk.red(`${logSymbols.error} Error: --source-map-path can only be used with a single input file.`));
-    process.exit(1);
+  const exitCode = interrupted
+    ? EXIT_CODES.INTERRUPTED
+    : getBatchExitCode({ protected: summary.success, failures });
+
+  // Changes in watch mode get one line per file instead of a summary
+  if (rebuild) {
+    results.forEach(({ file, status, outputPath, durationMs, cached, reason, error }) => {
+      if (status === 'success') {
+        log(`${chalk.green(logSymbols.success)} ${file} ${chalk.gray('→')} ${chalk.green(outputPath)} ${chalk.gray(`(${cached ? 'cached' : `${durationMs}ms`})`)}`);
+      } else if (status === 'failed') {
+        console.error(`${chalk.red(logSymbols.error)} ${file}: ${chalk.yellow(error)}`);
+      } else {
+        log(`${chalk.blue(logSymbols.info)} ${file}: ${chalk.cyan(reason)}`);
+      }
+    });
+    return { interrupted, exitCode };
   }
-  
-  // Custom symbols path only for single file
-  if (files.length > 1 && options.symbolsPath) {
-    console.error(chalk.red(`${logSymbols.error} Error: --symbols-path can only be used with a single input file.`));
-    process.exit(1);
+
+  // Machine-readable report of every file
+  await writeReport(report, context);
+
+  // Summary with attractive formatting
+  log('\n' + boxen(
+    chalk.bold.magenta(interrupted ? 'Protection Interrupted' : bailed ? 'Protection Stopped' : 'Protection Summary') + '\n\n' +
+    `${chalk.white('Total files:')} ${chalk.bold(summary.total)}\n` +
+    `${chalk.green(`${logSymbols.success} Success:`)} ${chalk.bold.green(summary.success - summary.cached)}\n` +
+    (summary.cached > 0 ? `${chalk.green(`${logSymbols.success} From cache:`)} ${chalk.bold.green(summary.cached)}\n` : '') +
+    (summary.skipped > 0 ? `${chalk.blue(`${logSymbols.info} Skipped:`)} ${chalk.bold.blue(summary.skipped)}\n` : '') +
+    (summary.failed > 0 ? `${chalk.red(`${logSymbols.error} Failed:`)} ${chalk.bold.red(summary.failed)}\n` : '') +
+    (summary.cancelled > 0 ? `${chalk.yellow(`${logSymbols.warning} Cancelled:`)} ${chalk.bold.yellow(summary.cancelled)}\n` : '') +
+    (options.sourceMap || options.inlineSourceMap ? `${chalk.yellow('Source maps:')} ${chalk.bold(options.inlineSourceMap ? 'Inline' : 'Generated')}\n` : '') +
+    (options.symbols ? `${chalk.magenta('Symbols cache:')} ${chalk.bold('Saved')}\n` : ''),
+    { padding: 1, margin: 1, borderColor: 'magenta' }
+  ));
+
+  // Show skipped files if any
+  const skippedFiles = results.filter(({ status }) => status === 'skipped');
+  if (skippedFiles.length > 0) {
+    log(chalk.blue('\nSkipped files:'));
+    skippedFiles.forEach(({ file, reason }) => {
+      log(`${chalk.blue(logSymbols.info)} ${file}: ${chalk.cyan(reason)}`);
+    });
   }
 
-  // Output directory validation
-  if (options.outputDir) {
-    if (!existsSync(options.outputDir)) {
-      console.error(chalk.red(`${logSymbols.error} Error: Output directory does not exist: ${options.outputDir}`));
-      process.exit(1);
-    }
-    return true;
+  // Show failed files if any, on stderr when other output is suppressed
+  const failedFiles = results.filter(({ status }) => status === 'failed');
+  if (failedFiles.length > 0) {
+    const logFailure = silent ? console.error : console.log;
+    logFailure(chalk.red(`${silent ? '' : '\n'}Failed files:`));
+    failedFiles.forEach(({ file, error }) => {
+      logFailure(`${chalk.red(logSymbols.error)} ${file}: ${chalk.yellow(error)}`);
+    });
   }
 
-  return true;
+  return { interrupted, exitCode };
 }
 
 /**
- * Determines the output path for an obfuscated file
- * @param {string} inputFile - Original file path
- * @param {Object} options - CLI options
- * @returns {string} - Output file path
+ * Prints an error thrown while planning a run
+ * @param {Error} error - Error from planProtection()
+ * @returns {void}
  */
-function getOutputPath(inputFile, options) {
-  // If specific output file specified (single file mode)
-  if (options.output) {
-    return options.output;
-  }
+function printPlanError(error) {
+  console.error(chalk.red(`${logSymbols.error} Error: ${error.message}`));
+  (error.details || []).forEach(detail => {
+    console.error(`  ${detail}`);
+  });
+}
 
-  const filename = path.basename(inputFile);
-  const ext = path.extname(inputFile);
-  
-  // If output directory specified, use it
-  if (options.outputDir) {
-    const newFilename = filename.replace(ext, `${options.outputExt}${ext}`);
-    return path.join(options.outputDir, newFilename);
+// Name used for code read from stdin when --stdin-filepath is not given
+const STDIN_NAME = '<stdin>';
+
+// Options that need files on disk and cannot be combined with stdin
+const STDIN_INCOMPATIBLE_OPTIONS = {
+  watch: '--watch',
+  dryRun: '--dry-run',
+  output: '--output',
+  outputDir: '--output-dir',
+  reporter: '--reporter',
+  reportFile: '--report-file',
+  verifyCommand: '--verify-command'
+};
+
+/**
+ * Reads all of stdin
+ * @returns {Promise<string>} - Input text
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
   }
-  
-  // Default: modify the extension in the same directory
-  return inputFile.replace(ext, `${options.outputExt}${ext}`);
+  return Buffer.concat(chunks).toString('utf-8');
 }
 
-export async function protect(patterns, options) {
-  // Display a nice header
-  console.log(createHeader('ByteHide Shield JavaScript Protector'));
-  
-  // Find matching files from all patterns first to use for config search
-  let allFiles = [];
-  const fileSpinner = ora('Finding files to protect...').start();
-  
+/**
+ * Writes to stdout and waits until it is flushed, so exiting cannot cut a piped output short
+ * @param {string} text - Text to write
+ * @returns {Promise<void>}
+ */
+function writeStdout(text) {
+  return new Promise((resolve, reject) => {
+    process.stdout.write(text, error => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * Protects code read from stdin and writes the protected code to stdout
+ * stdout only ever receives code: messages go to stderr and spinners are not shown
+ * @param {Object} options - Command options
+ * @returns {Promise<void>}
+ */
+async function protectStdin(options) {
+  const fail = (message, exitCode) => {
+    console.error(chalk.red(`${logSymbols.error} Error: ${message}`));
+    process.exit(exitCode);
+  };
+  const warn = options.quiet ? () => {} : (message) => console.error(chalk.yellow(`${logSymbols.warning} ${message}`));
+
+  const incompatible = Object.keys(STDIN_INCOMPATIBLE_OPTIONS).filter(key => options[key]);
+  if (incompatible.length > 0) {
+    fail(`${incompatible.map(key => STDIN_INCOMPATIBLE_OPTIONS[key]).join(', ')} cannot be used when reading from stdin.`, EXIT_CODES.CONFIG_ERROR);
+  }
+
+  // There is no output file for the map or the symbols to go next to
+  if (options.sourceMap && !options.inlineSourceMap && !options.sourceMapPath) {
+    fail('--source-map needs --source-map-path (or use --inline-source-map) when reading from stdin.', EXIT_CODES.CONFIG_ERROR);
+  }
+  if (options.symbols && !options.symbolsPath) {
+    fail('--symbols needs --symbols-path when reading from stdin.', EXIT_CODES.CONFIG_ERROR);
+  }
+
+  // The path stands in for the code when finding the config, matching rules and naming it in messages
+  const stdinFilepath = options.stdinFilepath || null;
+  const fileName = stdinFilepath || STDIN_NAME;
+
+  // Without a pipe or redirect there is nothing to read
+  if (process.stdin.isTTY) {
+    fail('No input on stdin. Pipe the code to protect, e.g. cat app.js | shield protect -', EXIT_CODES.CONFIG_ERROR);
+  }
+
   try {
-    for (const pattern of patterns) {
-      const files = await glob(pattern, { nodir: true });
-      allFiles = [...allFiles, ...files];
+    const code = await readStdin();
+
+    let config;
+    let configPath;
+    try {
+      configPath = await validateConfigRequirement(options.config, stdinFilepath ? [stdinFilepath] : [], !options.config);
+      config = await loadConfig(configPath, [], false, { profile: options.profile });
+    } catch (error) {
+      fail(error.message, EXIT_CODES.CONFIG_ERROR);
     }
-    
-    // Remove duplicates
-    allFiles = [...new Set(allFiles)];
-    
-    // Filter JavaScript files
-    allFiles = allFiles.filter(file => file.endsWith('.js') || file.endsWith('.mjs'));
-    
-    if (allFiles.length === 0) {
-      fileSpinner.fail(chalk.yellow(`${logSymbols.warning} No JavaScript files found matching the provided patterns.`));
-      process.exit(0);
+
+    const { errors: configErrors, warnings: configWarnings } = validateConfig(config);
+    if (configErrors.length > 0) {
+      console.error(chalk.red(`${logSymbols.error} Invalid configuration:`));
+      configErrors.forEach(error => console.error(chalk.red(`${logSymbols.error} ${error}`)));
+      process.exit(EXIT_CODES.CONFIG_ERROR);
+    }
+    configWarnings.forEach(warn);
+
+    // Excluded and already protected code is passed through unchanged, like a formatter would
+    if (stdinFilepath) {
+      const ignoreRules = await loadIgnoreRules({ exclude: config.exclude, ignore: options.ignore });
+      const rule = findExcludingRule(stdinFilepath, ignoreRules);
+      if (rule) {
+        warn(`${fileName} is excluded by ${describeRule(rule)}, writing it unchanged.`);
+        await writeStdout(code);
+        process.exit(EXIT_CODES.SUCCESS);
+      }
     }
-    
-    fileSpinner.succeed(chalk.green(`${logSymbols.success} Found ${chalk.bold(allFiles.length)} JavaScript file(s) to protect.`));
-    
-    // Load configuration with required flag set to true if no explicit config provided
-    const configSpinner = ora('Loading configuration...').start();
-    const config = await loadConfig(options.config, allFiles, !options.config);
-    configSpinner.succeed(chalk.green(`${logSymbols.success} Configuration loaded successfully.`));
-    
-    // Get token with priority: CLI > env var > config file
-    const tokenSpinner = ora('Validating ByteHide Shield token...').start();
+
+    const { watermark, force, verify } = getOutputFormat(options, config);
+    if (!force && isAlreadyObfuscated(code, watermark)) {
+      warn(`${fileName} has already been protected, writing it unchanged.`);
+      await writeStdout(code);
+      process.exit(options.failOnSkipped || config.failOnSkipped ? EXIT_CODES.FAILURE : EXIT_CODES.SUCCESS);
+    }
+
+    const fileConfig = stdinFilepath ? getFileConfig(config, stdinFilepath) : { ...config };
+
+    // Symbols shared with the files of other runs, network settings and cache directory, as for files
+    let settings;
+    try {
+      settings = await resolveRunSettings(options, config);
+    } catch (error) {
+      fail(error.message, EXIT_CODES.CONFIG_ERROR);
+    }
+    const { sharedSymbols, network, cacheDir } = settings;
+    if (sharedSymbols) {
+      fileConfig.identifierNamesCache = sharedSymbols;
+    }
+
     const token = getToken(options.token, config);
-    
-    // Validate token
     if (!token) {
-      tokenSpinner.fail(chalk.red(`${logSymbols.error} Error: ByteHide Shield project token is required.`));
-      console.log(chalk.yellow(`${logSymbols.warning} You can provide a token in one of these ways:`));
-      console.log('  1. Use --token flag');
-      console.log('  2. Set BYTEHIDE_SHIELD_TOKEN environment variable');
-      console.log('  3. Set BYTEHIDE_TOKEN environment variable');
-      console.log('  4. Add ProjectToken field in shield.config.json');
-      console.log('\nFor more information, visit: docs.bytehide.com/platforms/javascript/products/shield/configuration-project-token');
-      process.exit(1);
+      fail('ByteHide Shield project token is required. Use --token, set BYTEHIDE_SHIELD_TOKEN or add ProjectToken to the configuration file.', EXIT_CODES.CONFIG_ERROR);
     }
-    
-    // Validate token with API call
+
     try {
-      await validateToken(token);
-      tokenSpinner.succeed(chalk.green(`${logSymbols.success} Token validated successfully.`));
+      await validateToken(token, network);
     } catch (error) {
-      tokenSpinner.fail(chalk.red(`${logSymbols.error} Token validation failed: ${error.message}`));
-      process.exit(1);
+      fail(`Token validation failed: ${error.message}`, error instanceof TokenError ? EXIT_CODES.CONFIG_ERROR : EXIT_CODES.FAILURE);
     }
-    
-    // Validate output options
-    validateOutputOptions(allFiles, options);
-    
+
+    let result;
+    try {
+      result = await obfuscateFile({
+        filePath: fileName,
+        token,
+        config: fileConfig,
+        network,
+        cacheDir,
+        watermark,
+        verify,
+        _returnCodeOnly: 'full',
+        _code: code
+      });
+    } catch (error) {
+      fail(`Failed to protect ${fileName}: ${error.message}`, EXIT_CODES.FAILURE);
+    }
+
+    // Map URLs are relative to where the code would live, which is the stdin path if given
+    const { output, files } = await buildOutputs(result, {
+      code,
+      filePath: fileName,
+      outputPath: stdinFilepath || path.join(process.cwd(), 'stdin.js'),
+      generateSourceMap: options.sourceMap,
+      inlineSourceMap: options.inlineSourceMap,
+      saveSymbols: options.symbols,
+      sourceMapPath: options.sourceMapPath,
+      symbolsPath: options.symbolsPath
+    });
+
+    for (const [outputPath, content] of files) {
+      await writeFile(outputPath, content);
+    }
+    if (options.symbolsOut) {
+      await saveSymbols(options.symbolsOut, mergeSymbols(fileConfig.identifierNamesCache, result.symbols));
+    }
+
+    await writeStdout(output);
+    process.exit(EXIT_CODES.SUCCESS);
+  } catch (error) {
+    fail(error.message, EXIT_CODES.FAILURE);
+  }
+}
+
+/**
+ * Watches the patterns and protects files again when they change, until interrupted
+ * @param {Object} plan - Plan from planProtection(), its files are the ones matched when the run started
+ * @param {Object} context - Console settings resolved by protect()
+ * @returns {void}
+ */
+function watchForChanges(plan, context) {
+  const { patterns, files: initialFiles, rootDir, ignoreRules } = plan;
+  // Settings resolved by the plan, not the CLI flags: the watermark may come from the config file
+  const planOptions = plan.options;
+  const { log } = context;
+
+  // Outputs written next to the inputs must not trigger another protection
+  const outputPaths = new Set();
+  const trackOutputs = (files) => {
+    files.forEach(file => {
+      const outputPath = path.resolve(getOutputPath(file, planOptions, rootDir));
+      if (outputPath !== path.resolve(file)) {
+        outputPaths.add(outputPath);
+      }
+    });
+  };
+  trackOutputs(initialFiles);
+
+  // Files protected in place are recognized by what the CLI wrote, as they have no
+  // watermark with --no-watermark
+  const writtenContents = new Map();
+  const trackInPlaceOutputs = async (files) => {
+    for (const file of files) {
+      const absolutePath = path.resolve(file);
+      if (path.resolve(getOutputPath(file, planOptions, rootDir)) !== absolutePath) {
+        continue;
+      }
+      try {
+        writtenContents.set(absolutePath, await readFile(file));
+      } catch (error) {
+        writtenContents.delete(absolutePath);
+      }
+    }
+  };
+
+  // Selects the changed paths that still match the patterns and need protecting
+  const getChangedFiles = async (changedPaths) => {
+    const changed = new Set(changedPaths);
+
+    // --output only makes sense for the single file matched at start
+    const candidates = planOptions.output ? initialFiles : await findFiles(patterns);
+    const files = [];
+
+    for (const file of candidates) {
+      const absolutePath = path.resolve(file);
+      if (!changed.has(absolutePath) || outputPaths.has(absolutePath) || findExcludingRule(file, ignoreRules)) {
+        continue;
+      }
+
+      // Files protected in place carry the watermark once the CLI has written them
+      try {
+        const content = await readFile(file);
+        if (isAlreadyObfuscated(content, planOptions.watermark) || writtenContents.get(absolutePath) === content) {
+          continue;
+        }
+      } catch (error) {
+        // Removed again before it could be read
+        continue;
+      }
+
+      files.push(file);
+    }
+
+    return files;
+  };
+
+  const queued = new Set();
+  let running = false;
+  let stopping = false;
+  let interrupted = false;
+
+  const stop = (exitCode) => {
+    watcher.close();
+    process.removeListener('SIGINT', onStop);
+    process.removeListener('SIGTERM', onStop);
+    log(chalk.blue(`\n${logSymbols.info} Stopped watching.`));
+    process.exit(exitCode);
+  };
+
+  // Changes that arrive while a batch is running are protected right after it
+  const onChange = async (changedPaths) => {
+    changedPaths.forEach(changedPath => queued.add(changedPath));
+    if (running) {
+      return;
+    }
+
+    running = true;
+    while (queued.size > 0 && !stopping) {
+      const changedFiles = [...queued];
+      queued.clear();
+
+      try {
+        const files = await getChangedFiles(changedFiles);
+        if (files.length > 0) {
+          trackOutputs(files);
+          const batch = await runBatch(plan, context, { files, rebuild: true });
+          await trackInPlaceOutputs(files);
+          interrupted = batch.interrupted;
+        }
+      } catch (error) {
+        console.error(chalk.red(`${logSymbols.error} Error: ${error.message}`));
+      }
+    }
+    running = false;
+
+    if (stopping) {
+      stop(interrupted ? EXIT_CODES.INTERRUPTED : EXIT_CODES.SUCCESS);
+    }
+  };
+
+  // Ctrl+C stops watching; a running batch is cancelled first by its own handler
+  const onStop = () => {
+    stopping = true;
+    if (!running) {
+      stop(EXIT_CODES.SUCCESS);
+    }
+  };
+
+  const watcher = watchDirectories(patterns.map(getGlobBase), onChange);
+  process.on('SIGINT', onStop);
+  process.on('SIGTERM', onStop);
+
+  log(chalk.cyan(`\n${logSymbols.info} Watching for changes... Press Ctrl+C to stop.`));
+}
+
+export async function protect(patterns, options) {
+  const startedAt = new Date();
+
+  // A single "-" reads the code from stdin and writes the protected code to stdout
+  if (patterns.length === 1 && patterns[0] === '-') {
+    return protectStdin(options);
+  }
+
+  // A reporter without a report file writes to stdout, so nothing else may
+  const reporter = options.reporter || (options.reportFile ? 'json' : null);
+  if (reporter && !REPORTERS.includes(reporter)) {
+    console.error(chalk.red(`${logSymbols.error} Error: Unknown reporter: ${reporter}. Available reporters: ${REPORTERS.join(', ')}`));
+    process.exit(EXIT_CODES.CONFIG_ERROR);
+  }
+
+  // Reports describe a single run, which never ends in watch mode
+  if (reporter && options.watch) {
+    console.error(chalk.red(`${logSymbols.error} Error: --watch cannot be used with --reporter or --report-file.`));
+    process.exit(EXIT_CODES.CONFIG_ERROR);
+  }
+  const silent = Boolean(options.quiet || (reporter && !options.reportFile));
+
+  // Spinners, progress bar and header only make sense on an interactive terminal
+  const interactive = !silent && Boolean(process.stdout.isTTY);
+  const log = silent ? () => {} : console.log;
+  const spinner = (text) => ora({ text, isEnabled: interactive, isSilent: silent }).start();
+
+  // Display a nice header
+  if (interactive) {
+    console.log(createHeader('ByteHide Shield JavaScript Protector'));
+  }
+
+  // Find the files, load the configuration and validate the token before anything is written
+  const planSpinner = spinner('Finding files and loading configuration...');
+
+  try {
+    let plan;
+    try {
+      plan = await planProtection({ ...options, patterns });
+    } catch (error) {
+      planSpinner.stop();
+      printPlanError(error);
+      process.exit(error instanceof ConfigError ? EXIT_CODES.CONFIG_ERROR : EXIT_CODES.FAILURE);
+    }
+
+    const { files: allFiles, excludedFiles } = plan;
+    const matchedCount = allFiles.length + excludedFiles.length;
+    const context = { options, reporter, silent, interactive, log };
+
+    if (matchedCount === 0) {
+      planSpinner.fail(chalk.yellow(`${logSymbols.warning} No JavaScript files found matching the provided patterns.`));
+      if (!options.dryRun) {
+        await writeEmptyReport(context, startedAt);
+      }
+      process.exit(EXIT_CODES.SUCCESS);
+    }
+
+    planSpinner.succeed(chalk.green(`${logSymbols.success} Found ${chalk.bold(matchedCount)} JavaScript file(s) to protect.`));
+
+    // Files in other packages may bring their own configuration files
+    const configPaths = plan.configs ? [...plan.configs.keys()] : [plan.configPath];
+    const configSource = ` from ${configPaths.map(getDisplayPath).join(', ')}`;
+    log(chalk.green(`${logSymbols.success} Configuration loaded${configSource}${plan.profile ? ` (profile: ${plan.profile})` : ''}.`));
+    plan.warnings.forEach(warning => {
+      log(chalk.yellow(`${logSymbols.warning} ${warning}`));
+    });
+
+    if (excludedFiles.length > 0) {
+      log(chalk.blue(`${logSymbols.info} Excluded ${chalk.bold(excludedFiles.length)} file(s) by ignore rules.`));
+    }
+
+    if (allFiles.length === 0) {
+      log(chalk.yellow(`${logSymbols.warning} All matched files are excluded, nothing to protect.`));
+      if (options.dryRun) {
+        printExcludedFiles(excludedFiles);
+      } else {
+        await writeEmptyReport(context, startedAt);
+      }
+      process.exit(EXIT_CODES.SUCCESS);
+    }
+
+    log(chalk.green(`${logSymbols.success} Token validated successfully.`));
+
     // In dry run mode, just list the files
     if (options.dryRun) {
       console.log(boxen(chalk.cyan('DRY RUN MODE - No files will be modified'), {
@@ -166,138 +645,62 @@ export async function protect(patterns, options) {
         borderColor: 'yellow',
         margin: 1
       }));
-      
+
       console.log(chalk.cyan('\nFiles that would be protected:'));
-      
-      allFiles.forEach(file => {
-        const outputPath = getOutputPath(file, options);
+
+      for (const file of allFiles) {
+        const outputPath = getOutputPath(file, plan.options, plan.rootDir);
         let outputInfo = `${chalk.blue(logSymbols.info)} ${file} ${chalk.gray('→')} ${chalk.green(outputPath)}`;
-        
-        if (options.sourceMap) {
-          const sourceMapPath = options.sourceMapPath && allFiles.length === 1 
-            ? options.sourceMapPath 
+
+        if (options.inlineSourceMap) {
+          outputInfo += ` ${chalk.gray('+')} ${chalk.yellow('inline source map')}`;
+        } else if (options.sourceMap) {
+          const sourceMapPath = options.sourceMapPath && allFiles.length === 1
+            ? options.sourceMapPath
             : `${outputPath}.map`;
           outputInfo += ` ${chalk.gray('+')} ${chalk.yellow(sourceMapPath)}`;
         }
-        
+
         if (options.symbols) {
           const symbolsPath = options.symbolsPath && allFiles.length === 1
             ? options.symbolsPath
             : `${outputPath}.symbols.json`;
           outputInfo += ` ${chalk.gray('+')} ${chalk.magenta(symbolsPath)}`;
         }
-        
+
         console.log(outputInfo);
-      });
-      
-      process.exit(0);
-    }
-    
-    // Process each file with a nice progress bar
-    let successCount = 0;
-    let failCount = 0;
-    let skippedCount = 0;
-    const failedFiles = [];
-    const skippedFiles = [];
-    
-    // Configure progress bar
-    const progressBar = new cliProgress.SingleBar({
-      format: `${chalk.cyan('Progress')} |${chalk.magenta('{bar}')}| {percentage}% | {value}/{total} Files | ETA: {eta}s`,
-      barCompleteChar: '\u2588',
-      barIncompleteChar: '\u2591',
-      hideCursor: true
-    }, cliProgress.Presets.shades_classic);
-    
-    console.log(chalk.cyan('\nProtecting files...'));
-    progressBar.start(allFiles.length, 0);
-    
-    for (let i = 0; i < allFiles.length; i++) {
-      const file = allFiles[i];
-      const outputPath = getOutputPath(file, options);
-      
-      try {
-        if (!fileExists(file)) {
-          failedFiles.push({ file, error: 'File not found' });
-          failCount++;
-          progressBar.update(i + 1);
-          continue;
-        }
-        
-        // Ensure output directory exists
-        const outputDir = path.dirname(outputPath);
-        if (!existsSync(outputDir)) {
-          await fs.mkdir(outputDir, { recursive: true });
-        }
-        
-        // Create backup of original file before obfuscation if needed
-        if (options.backup) {
-          await createBackup(file);
+
+        if (configPaths.length > 1) {
+          console.log(`    ${chalk.gray(`config: ${getDisplayPath(getConfigPathForFile(plan, file))}`)}`);
         }
-        
-        // Only use custom paths for source maps and symbols if we're processing a single file
-        const sourceMapPath = allFiles.length === 1 ? options.sourceMapPath : null;
-        const symbolsPath = allFiles.length === 1 ? options.symbolsPath : null;
-        
-        // Obfuscate the file
-        await obfuscateFile({
-          filePath: file,
-          token,
-          config,
-          outputPath,
-          generateSourceMap: options.sourceMap,
-          saveSymbols: options.symbols,
-          sourceMapPath,
-          symbolsPath
-        });
-        
-        successCount++;
-      } catch (error) {
-        // Check if the error is about the file already being protected
-        if (error.message === 'The file has already been protected.') {
-          skippedFiles.push({ file, reason: 'Already protected' });
-          skippedCount++;
-        } else {
-          failedFiles.push({ file, error: error.message });
-          failCount++;
+
+        // Show which options differ from the base config for this file
+        const config = await getConfigForFile(plan, file);
+        if (Array.isArray(config.overrides)) {
+          console.log(`    ${chalk.gray(describeFileConfig(config, file))}`);
         }
       }
-      
-      progressBar.update(i + 1);
-    }
-    
-    progressBar.stop();
-    
-    // Summary with attractive formatting
-    console.log('\n' + boxen(
-      chalk.bold.magenta('Protection Summary') + '\n\n' +
-      `${chalk.white('Total files:')} ${chalk.bold(allFiles.length)}\n` +
-      `${chalk.green(`${logSymbols.success} Success:`)} ${chalk.bold.green(successCount)}\n` +
-      (skippedCount > 0 ? `${chalk.blue(`${logSymbols.info} Skipped:`)} ${chalk.bold.blue(skippedCount)}\n` : '') +
-      (failCount > 0 ? `${chalk.red(`${logSymbols.error} Failed:`)} ${chalk.bold.red(failCount)}\n` : '') +
-      (options.sourceMap ? `${chalk.yellow('Source maps:')} ${chalk.bold('Generated')}\n` : '') +
-      (options.symbols ? `${chalk.magenta('Symbols cache:')} ${chalk.bold('Saved')}\n` : ''),
-      { padding: 1, margin: 1, borderColor: 'magenta' }
-    ));
-    
-    // Show skipped files if any
-    if (skippedCount > 0) {
-      console.log(chalk.blue('\nSkipped files:'));
-      skippedFiles.forEach(({ file, reason }) => {
-        console.log(`${chalk.blue(logSymbols.info)} ${file}: ${chalk.cyan(reason)}`);
-      });
+
+      if (excludedFiles.length > 0) {
+        printExcludedFiles(excludedFiles);
+      }
+
+      process.exit(EXIT_CODES.SUCCESS);
     }
-    
-    // Show failed files if any
-    if (failCount > 0) {
-      console.log(chalk.red('\nFailed files:'));
-      failedFiles.forEach(({ file, error }) => {
-        console.log(`${chalk.red(logSymbols.error)} ${file}: ${chalk.yellow(error)}`);
-      });
+
+    const { interrupted, exitCode } = await runBatch(plan, context, { startedAt });
+
+    // Keep protecting changed files until Ctrl+C, unless the first run was interrupted
+    if (options.watch && !interrupted) {
+      watchForChanges(plan, context);
+      return;
     }
-    
+
+    process.exit(exitCode);
+
   } catch (error) {
-    if (fileSpinner.isSpinning) fileSpinner.fail(chalk.red(`${logSymbols.error} Error: ${error.message}`));
+    if (planSpinner.isSpinning) planSpinner.fail(chalk.red(`${logSymbols.error} Error: ${error.message}`));
     else console.error(chalk.red(`${logSymbols.error} Error: ${error.message}`));
-    process.exit(1);
+    process.exit(EXIT_CODES.FAILURE);
   }
-} 
\ No newline at end of file
+}
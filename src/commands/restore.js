@@ -0,0 +1,122 @@
+import { glob } from 'glob';
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import path from 'path';
+import logSymbols from 'log-symbols';
+import boxen from 'boxen';
+import { loadConfig } from '../utils/config.js';
+import { fileExists, getBackupPath, getOriginalPath } from '../utils/files.js';
+
+/**
+ * Finds backups to restore
+ * @param {string[]} patterns - Glob patterns of original files, all backups if empty
+ * @param {string|null} backupDir - Directory that mirrors the source tree, or null for in-place backups
+ * @returns {Promise<Array<{file: string, backupPath: string}>>} - Original files and their backups
+ */
+async function findBackups(patterns, backupDir) {
+  if (patterns.length > 0) {
+    let files = [];
+    for (const pattern of patterns) {
+      files = [...files, ...await glob(pattern, { nodir: true })];
+    }
+
+    return [...new Set(files)]
+      .filter(file => !file.endsWith('.backup'))
+      .map(file => ({ file, backupPath: getBackupPath(file, backupDir) }))
+      .filter(({ backupPath }) => fileExists(backupPath));
+  }
+
+  // Without patterns, restore every backup written by `shield protect`
+  const backupPattern = backupDir
+    ? `${backupDir.split(path.sep).join('/')}/**/*.{js,mjs}.backup`
+    : '**/*.{js,mjs}.backup';
+  const backups = await glob(backupPattern, { nodir: true, dot: true, ignore: ['**/node_modules/**'] });
+
+  return backups.sort().map(backupPath => ({
+    file: getOriginalPath(backupPath, backupDir),
+    backupPath
+  }));
+}
+
+/**
+ * Restores original files from the backups created by `shield protect`
+ * @param {string[]} patterns - Glob patterns of original files to restore
+ * @param {Object} options - CLI options
+ * @returns {Promise<void>}
+ */
+export async function restore(patterns, options) {
+  try {
+    // The backup directory can be set in the config, which is optional here
+    const config = await loadConfig(options.config, [], false, { profile: options.profile });
+    const backupDir = options.backupDir || config.backupDir || null;
+
+    const backups = await findBackups(patterns, backupDir);
+
+    if (backups.length === 0) {
+      console.log(chalk.yellow(`${logSymbols.warning} No backups found${backupDir ? ` in ${backupDir}` : ''}.`));
+      return;
+    }
+
+    if (options.dryRun) {
+      console.log(boxen(chalk.cyan('DRY RUN MODE - No files will be modified'), {
+        padding: 1,
+        borderColor: 'yellow',
+        margin: 1
+      }));
+      console.log(chalk.cyan('\nFiles that would be restored:'));
+    }
+
+    let restoredCount = 0;
+    const failedFiles = [];
+
+    for (const { file, backupPath } of backups) {
+      // Generated next to in-place protected files by --source-map and --symbols
+      const generatedFiles = options.clean
+        ? [`${file}.map`, `${file}.symbols.json`].filter(fileExists)
+        : [];
+      const removedFiles = options.clean ? [backupPath, ...generatedFiles] : [];
+
+      if (options.dryRun) {
+        let info = `${chalk.blue(logSymbols.info)} ${backupPath} ${chalk.gray('→')} ${chalk.green(file)}`;
+        if (removedFiles.length > 0) {
+          info += ` ${chalk.gray('(removes')} ${removedFiles.map(removed => chalk.yellow(removed)).join(', ')}${chalk.gray(')')}`;
+        }
+        console.log(info);
+        continue;
+      }
+
+      try {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.copyFile(backupPath, file);
+        await Promise.all(removedFiles.map(removed => fs.rm(removed, { force: true })));
+        console.log(`${chalk.green(logSymbols.success)} Restored ${file}`);
+        restoredCount++;
+      } catch (error) {
+        failedFiles.push({ file, error: error.message });
+      }
+    }
+
+    if (options.dryRun) {
+      return;
+    }
+
+    console.log('\n' + boxen(
+      chalk.bold.magenta('Restore Summary') + '\n\n' +
+      `${chalk.green(`${logSymbols.success} Restored:`)} ${chalk.bold.green(restoredCount)}\n` +
+      (failedFiles.length > 0 ? `${chalk.red(`${logSymbols.error} Failed:`)} ${chalk.bold.red(failedFiles.length)}\n` : '') +
+      (options.clean ? `${chalk.yellow('Backups and generated files:')} ${chalk.bold('Removed')}\n` : ''),
+      { padding: 1, margin: 1, borderColor: 'magenta' }
+    ));
+
+    if (failedFiles.length > 0) {
+      console.log(chalk.red('\nFailed files:'));
+      failedFiles.forEach(({ file, error }) => {
+        console.log(`${chalk.red(logSymbols.error)} ${file}: ${chalk.yellow(error)}`);
+      });
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(chalk.red(`${logSymbols.error} Error: ${error.message}`));
+    process.exit(1);
+  }
+}
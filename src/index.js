@@ -6,10 +6,19 @@ import {
   findDefaultConfigFile, 
   extractTokenFromConfig,
   findConfigInDirectories,
+  findConfigForFile,
   getDirectoriesFromFiles,
   validateConfigRequirement
 } from './utils/config.js';
-import { fileExists, createBackup, readFile, writeFile } from './utils/files.js';
+import { fileExists, createBackup, getBackupPath, getOriginalPath, readFile, writeFile } from './utils/files.js';
+import { resolveNetworkOptions, DEFAULT_API_URL } from './utils/network.js';
+import { validateConfig, CONFIG_SCHEMA } from './utils/schema.js';
+import { EXIT_CODES } from './utils/exit-codes.js';
+import { protectFiles, planProtection } from './utils/batch.js';
+import { ShieldError, ConfigError, ConfigNotFoundError, TokenError, VerificationError, AlreadyProtectedError } from './utils/errors.js';
+import { shieldRollupPlugin, shieldVitePlugin } from './plugins/rollup.js';
+import { shieldWebpackPlugin } from './plugins/webpack.js';
+import { shieldEsbuildPlugin } from './plugins/esbuild.js';
 
 export {
   obfuscateFile,
@@ -18,12 +27,32 @@ export {
   findDefaultConfigFile,
   extractTokenFromConfig,
   findConfigInDirectories,
+  findConfigForFile,
   getDirectoriesFromFiles,
   validateConfigRequirement,
   fileExists,
   createBackup,
+  getBackupPath,
+  getOriginalPath,
   readFile,
-  writeFile
+  writeFile,
+  resolveNetworkOptions,
+  DEFAULT_API_URL,
+  validateConfig,
+  CONFIG_SCHEMA,
+  EXIT_CODES,
+  protectFiles,
+  planProtection,
+  ShieldError,
+  ConfigError,
+  ConfigNotFoundError,
+  TokenError,
+  VerificationError,
+  AlreadyProtectedError,
+  shieldRollupPlugin,
+  shieldVitePlugin,
+  shieldWebpackPlugin,
+  shieldEsbuildPlugin
 };
 
 /**
@@ -34,6 +63,16 @@ export {
  * @param {Object} [options] - Additional options
  * @param {boolean} [options.includeSourceMap] - Whether to include source map in result
  * @param {boolean} [options.includeSymbols] - Whether to include symbols in result
+ * @param {string} [options.apiUrl] - ByteHide Shield API endpoint (default: BYTEHIDE_SHIELD_API_URL or the public API)
+ * @param {string} [options.proxy] - Proxy URL (default: HTTPS_PROXY/HTTP_PROXY)
+ * @param {string} [options.caFile] - Path to a PEM file with additional CA certificates
+ * @param {string|Buffer} [options.ca] - Additional CA certificates
+ * @param {number} [options.retries] - Retries for 429, 5xx and connection errors (default: 3)
+ * @param {number} [options.retryDelay] - Base retry delay in milliseconds (default: 1000)
+ * @param {number} [options.timeout] - Request timeout in milliseconds, 0 disables it (default: 300000)
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request
+ * @param {boolean|string} [options.watermark] - false to leave out the watermark line, or a custom comment for it
+ * @param {boolean|string} [options.verify] - Parse the result as "module" or "script", or false to skip the check (default: type of the package in the working directory)
  * @returns {Promise<string|Object>} - Obfuscated code or full result object
  */
 export async function obfuscate(code, token, config = {}, options = {}) {
@@ -47,6 +86,7 @@ export async function obfuscate(code, token, config = {}, options = {}) {
   
   const { includeSourceMap = false, includeSymbols = false } = options;
   const returnFullResult = includeSourceMap || includeSymbols;
+  const network = resolveNetworkOptions(options, config);
   
   // Use the internal obfuscation function but return just the code or full result
   const result = await obfuscateFile({
@@ -56,6 +96,10 @@ export async function obfuscate(code, token, config = {}, options = {}) {
     config,
     // This is a fake operation, we just want the obfuscated code
     outputExtension: '',
+    network,
+    signal: options.signal || null,
+    watermark: options.watermark !== undefined ? options.watermark : true,
+    verify: options.verify !== undefined ? options.verify : true,
     // Override the file operations to just return the code or full result
     _returnCodeOnly: returnFullResult ? 'full' : true,
     _code: code
@@ -0,0 +1,134 @@
+import { minimatch } from 'minimatch';
+import { loadConfig, getToken, getFileConfig } from '../utils/config.js';
+import { getOutputFormat, resolveRunSettings } from '../utils/batch.js';
+import { obfuscateFile, isAlreadyObfuscated, getProtectedSourceMap } from '../utils/obfuscate.js';
+import { validateConfig } from '../utils/schema.js';
+import { loadIgnoreRules, findExcludingRule } from '../utils/ignore.js';
+
+// Name the plugins are registered and report errors under
+export const PLUGIN_NAME = 'bytehide-shield';
+
+// Emitted files protected when no include patterns are given
+const DEFAULT_INCLUDE = ['**/*.{js,mjs,cjs}'];
+
+/**
+ * Checks if an emitted file name matches any of a set of patterns
+ * @param {string} fileName - File name relative to the output directory
+ * @param {string|string[]} patterns - Glob patterns
+ * @returns {boolean} - True if a pattern matches
+ */
+function matchesAny(fileName, patterns) {
+  const name = fileName.split('\\').join('/');
+  return [].concat(patterns).some(pattern => minimatch(name, pattern, { dot: true }));
+}
+
+/**
+ * Resolves the configuration, token and network settings of a build
+ * @param {Object} options - Plugin options
+ * @returns {Promise<Object>} - Settings shared by every file of the build
+ */
+async function resolveSettings(options) {
+  // Same discovery as the CLI: --config, then shield.config.* or package.json in the working directory
+  const config = await loadConfig(options.config || null, [], false, { profile: options.profile });
+
+  const { errors } = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration: ${errors.join('; ')}`);
+  }
+
+  // Priority: plugin option > env var > config file
+  const token = getToken(options.token, config);
+  if (!token) {
+    throw new Error('ByteHide Shield project token is required. Pass the token option, set BYTEHIDE_SHIELD_TOKEN or add ProjectToken to shield.config.json.');
+  }
+
+  // Same network settings and cache directory as the CLI
+  const { network, cacheDir } = await resolveRunSettings(options, config);
+
+  const ignoreRules = await loadIgnoreRules({ exclude: config.exclude });
+
+  // Bundlers write the code themselves, so only the watermark applies, not the BOM
+  const { watermark, force, verify } = getOutputFormat(options, config);
+
+  return { config, token, network, cacheDir, ignoreRules, watermark, force, verify };
+}
+
+/**
+ * Creates the protection step shared by the bundler plugins
+ * Settings are resolved once, on the first protected file, and errors are thrown
+ * for the plugin to report to its bundler
+ * @param {Object} [options] - Plugin options
+ * @param {string|string[]} [options.include] - Emitted files to protect, glob patterns relative to the output directory (default: all .js, .mjs and .cjs files)
+ * @param {string|string[]} [options.exclude] - Emitted files to leave as they are, glob patterns relative to the output directory
+ * @param {string} [options.config] - Path to the configuration file (default: discovered like the CLI)
+ * @param {string} [options.profile] - Configuration profile to apply (default: SHIELD_PROFILE)
+ * @param {string} [options.token] - ByteHide Shield project token (default: env var or config file)
+ * @param {string} [options.apiUrl] - ByteHide Shield API endpoint
+ * @param {string} [options.proxy] - Proxy URL for API requests
+ * @param {string} [options.caFile] - PEM file with additional CA certificates
+ * @param {number} [options.retries] - Retries for 429, 5xx and connection errors
+ * @param {number} [options.retryDelay] - Base retry delay in milliseconds
+ * @param {number} [options.timeout] - Request timeout in milliseconds
+ * @param {boolean} [options.cache] - Set to false to always call the API
+ * @param {string} [options.cacheDir] - Directory for cached protection results
+ * @param {boolean|string} [options.watermark] - false to leave out the watermark line, or a custom comment for it
+ * @param {boolean} [options.force] - Protect chunks that already carry a watermark
+ * @param {boolean} [options.verify] - Set to false to skip the syntax check of the protected code
+ * @returns {{filter: Function, protect: Function}} - File filter and protection function
+ */
+export function createProtector(options = {}) {
+  const include = options.include || DEFAULT_INCLUDE;
+  const exclude = options.exclude || [];
+  let settings = null;
+
+  return {
+    /**
+     * Checks if an emitted file should be protected
+     * @param {string} fileName - File name relative to the output directory
+     * @returns {boolean} - True if the file matches include and not exclude
+     */
+    filter(fileName) {
+      return matchesAny(fileName, include) && !matchesAny(fileName, exclude);
+    },
+
+    /**
+     * Protects the code of an emitted file
+     * @param {string} code - Code produced by the bundler
+     * @param {string} filePath - Path the file is written to, matched against overrides and ignore rules
+     * @param {Object} [protectOptions] - Protection options
+     * @param {boolean} [protectOptions.sourceMap] - Whether to return a source map
+     * @param {string} [protectOptions.sourceType] - "module" or "script", from the output format of the bundler (default: told from the file path)
+     * @returns {Promise<{code: string, map: Object|null}|null>} - Protected code and its map to the bundler code, or null if the file is left as it is
+     */
+    async protect(code, filePath, { sourceMap = false, sourceType = null } = {}) {
+      settings = settings || resolveSettings(options);
+      const { config, token, network, cacheDir, ignoreRules, watermark, force, verify } = await settings;
+
+      if (findExcludingRule(filePath, ignoreRules) || (!force && isAlreadyObfuscated(code, watermark))) {
+        return null;
+      }
+
+      const fileConfig = getFileConfig(config, filePath);
+      if (sourceMap) {
+        Object.assign(fileConfig, { sourceMap: true, sourceMapMode: 'separate' });
+      }
+
+      const result = await obfuscateFile({
+        filePath,
+        token,
+        config: fileConfig,
+        network,
+        cacheDir,
+        watermark,
+        verify: verify && (sourceType || true),
+        _returnCodeOnly: 'full',
+        _code: code
+      });
+
+      return {
+        code: result.output,
+        map: sourceMap && result.sourceMap ? getProtectedSourceMap(result.sourceMap, filePath) : null
+      };
+    }
+  };
+}
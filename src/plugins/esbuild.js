@@ -0,0 +1,125 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { createProtector, PLUGIN_NAME } from './core.js';
+import { composeSourceMaps, findInputSourceMap, getSourceMappingURL, setSourceMappingURL, toDataUrl } from '../utils/sourcemap.js';
+
+/**
+ * Creates an esbuild output file
+ * @param {string} filePath - Output path
+ * @param {string} text - File contents
+ * @returns {Object} - Output file with the same shape as esbuild's
+ */
+function createOutputFile(filePath, text) {
+  const contents = Buffer.from(text, 'utf-8');
+  return {
+    path: filePath,
+    contents,
+    hash: '',
+    get text() {
+      return text;
+    }
+  };
+}
+
+/**
+ * Protects one JavaScript output file, updating its source map if it has one
+ * @param {Object} protector - Protector from createProtector()
+ * @param {Object} file - esbuild output file
+ * @param {Map<string, number>} indexes - Position of each output file by path
+ * @param {Object[]} outputFiles - Output files, updated in place
+ * @param {string|null} sourceType - "module" or "script" from the output format, null when not set
+ * @returns {Promise<void>}
+ */
+async function protectOutputFile(protector, file, indexes, outputFiles, sourceType) {
+  const code = file.text;
+  const url = getSourceMappingURL(code);
+  const mapPath = `${file.path}.map`;
+  const mapIndex = indexes.get(mapPath);
+
+  // Linked and external maps are output files, inline maps are data URLs in the code
+  let inputMap = null;
+  if (mapIndex !== undefined) {
+    inputMap = JSON.parse(outputFiles[mapIndex].text);
+  } else if (url && url.startsWith('data:')) {
+    const found = await findInputSourceMap(code, file.path);
+    inputMap = found && found.map;
+  }
+
+  const result = await protector.protect(code, file.path, { sourceMap: Boolean(inputMap), sourceType });
+  if (!result) {
+    return;
+  }
+
+  let output = result.code;
+  if (inputMap && result.map) {
+    const directory = path.dirname(file.path);
+    const map = JSON.stringify(composeSourceMaps(result.map, inputMap, directory, directory));
+
+    if (mapIndex !== undefined) {
+      outputFiles[mapIndex] = createOutputFile(mapPath, map);
+      if (url) {
+        output = setSourceMappingURL(output, url);
+      }
+    } else {
+      output = setSourceMappingURL(output, toDataUrl(map));
+    }
+  }
+
+  outputFiles[indexes.get(file.path)] = createOutputFile(file.path, output);
+}
+
+/**
+ * esbuild plugin that protects emitted JavaScript files with ByteHide Shield
+ * Output files are kept in memory until they are protected, then written as esbuild would
+ * @param {Object} [options] - Plugin options, see createProtector()
+ * @returns {Object} - esbuild plugin
+ */
+export function shieldEsbuildPlugin(options = {}) {
+  const protector = createProtector(options);
+
+  return {
+    name: PLUGIN_NAME,
+    setup(build) {
+      const write = build.initialOptions.write !== false;
+      build.initialOptions.write = false;
+
+      build.onEnd(async (result) => {
+        if (!result.outputFiles) {
+          return;
+        }
+
+        const outdir = build.initialOptions.outdir ||
+          (build.initialOptions.outfile ? path.dirname(build.initialOptions.outfile) : process.cwd());
+        const outputFiles = result.outputFiles;
+        const indexes = new Map(outputFiles.map((file, index) => [file.path, index]));
+
+        const errors = [];
+        const { format } = build.initialOptions;
+        const sourceType = format ? (format === 'esm' ? 'module' : 'script') : null;
+
+        for (const file of [...outputFiles]) {
+          const fileName = path.relative(path.resolve(outdir), file.path);
+          if (file.path.endsWith('.map') || !protector.filter(fileName)) {
+            continue;
+          }
+
+          try {
+            await protectOutputFile(protector, file, indexes, outputFiles, sourceType);
+          } catch (error) {
+            errors.push({ text: `Failed to protect ${fileName}: ${error.message}` });
+          }
+        }
+
+        // Nothing is written for a failed build, like esbuild itself
+        if (write && errors.length === 0 && result.errors.length === 0) {
+          for (const file of outputFiles) {
+            await fs.mkdir(path.dirname(file.path), { recursive: true });
+            await fs.writeFile(file.path, file.contents);
+          }
+        }
+
+        return { errors };
+      });
+    }
+  };
+}
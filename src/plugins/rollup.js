@@ -0,0 +1,64 @@
+import path from 'path';
+import { createProtector, PLUGIN_NAME } from './core.js';
+
+/**
+ * Gets the path an emitted chunk is written to
+ * @param {Object} outputOptions - Rollup output options
+ * @param {string} fileName - Chunk file name
+ * @returns {string} - Output path
+ */
+function getChunkPath(outputOptions, fileName) {
+  if (outputOptions.dir) {
+    return path.join(outputOptions.dir, fileName);
+  }
+  if (outputOptions.file) {
+    return path.join(path.dirname(outputOptions.file), fileName);
+  }
+  return fileName;
+}
+
+/**
+ * Rollup plugin that protects emitted chunks with ByteHide Shield
+ * Chunks are protected after every other renderChunk hook, including minifiers,
+ * and Rollup chains the returned map with the maps of the earlier steps
+ * @param {Object} [options] - Plugin options, see createProtector()
+ * @returns {Object} - Rollup plugin
+ */
+export function shieldRollupPlugin(options = {}) {
+  const protector = createProtector(options);
+
+  return {
+    name: PLUGIN_NAME,
+    renderChunk: {
+      order: 'post',
+      async handler(code, chunk, outputOptions) {
+        if (!protector.filter(chunk.fileName)) {
+          return null;
+        }
+
+        try {
+          const result = await protector.protect(code, getChunkPath(outputOptions, chunk.fileName), {
+            sourceMap: Boolean(outputOptions.sourcemap),
+            sourceType: outputOptions.format === 'es' ? 'module' : 'script'
+          });
+          return result && { code: result.code, map: result.map };
+        } catch (error) {
+          this.error(`Failed to protect ${chunk.fileName}: ${error.message}`);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Vite plugin that protects emitted chunks with ByteHide Shield, on production builds only
+ * @param {Object} [options] - Plugin options, see createProtector()
+ * @returns {Object} - Vite plugin
+ */
+export function shieldVitePlugin(options = {}) {
+  return {
+    ...shieldRollupPlugin(options),
+    apply: 'build',
+    enforce: 'post'
+  };
+}
@@ -0,0 +1,56 @@
+import path from 'path';
+import { createProtector, PLUGIN_NAME } from './core.js';
+
+/**
+ * webpack plugin that protects emitted JavaScript assets with ByteHide Shield
+ * Assets are protected right after minification and before webpack writes source
+ * maps, which are chained with the map of the protection
+ * @param {Object} [options] - Plugin options, see createProtector()
+ * @returns {{apply: Function}} - webpack plugin
+ */
+export function shieldWebpackPlugin(options = {}) {
+  const protector = createProtector(options);
+
+  return {
+    apply(compiler) {
+      const { Compilation, WebpackError, sources } = compiler.webpack;
+
+      compiler.hooks.thisCompilation.tap(PLUGIN_NAME, (compilation) => {
+        compilation.hooks.processAssets.tapPromise({
+          name: PLUGIN_NAME,
+          stage: Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_SIZE + 1
+        }, async (assets) => {
+          const outputPath = compilation.outputOptions.path || '';
+          const sourceType = compilation.outputOptions.module ? 'module' : 'script';
+
+          for (const name of Object.keys(assets)) {
+            if (!protector.filter(name)) {
+              continue;
+            }
+
+            const asset = compilation.getAsset(name);
+            const { source, map } = asset.source.sourceAndMap();
+            const code = source.toString();
+
+            try {
+              const result = await protector.protect(code, path.join(outputPath, name), { sourceMap: Boolean(map), sourceType });
+              if (!result) {
+                continue;
+              }
+
+              // The inner map is applied to the source named like the asset
+              const protectedSource = result.map
+                ? new sources.SourceMapSource(result.code, name, { ...result.map, sources: [name] }, code, map, true)
+                : new sources.RawSource(result.code);
+              compilation.updateAsset(name, protectedSource);
+            } catch (error) {
+              const webpackError = new WebpackError(`${PLUGIN_NAME}: Failed to protect ${name}: ${error.message}`);
+              webpackError.file = name;
+              compilation.errors.push(webpackError);
+            }
+          }
+        });
+      });
+    }
+  };
+}
@@ -0,0 +1,745 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import { glob } from 'glob';
+import { loadConfig, getToken, getFileConfig, validateConfigRequirement, findConfigForFile } from './config.js';
+import { obfuscateFile, validateToken, isAlreadyObfuscated } from './obfuscate.js';
+import { resolveNetworkOptions, isAbortError } from './network.js';
+import { fileExists, readFile, createBackup, createStaging, getGlobBase, getCommonDirectory, getDisplayPath } from './files.js';
+import { runWithConcurrency } from './pool.js';
+import { DEFAULT_CACHE_DIR } from './cache.js';
+import { validateConfig } from './schema.js';
+import { loadIgnoreRules, findExcludingRule } from './ignore.js';
+import { loadSymbols, mergeSymbols, saveSymbols } from './symbols.js';
+import { isPerFileCommand, runVerifyCommand, revertOutputs } from './verify.js';
+import { ShieldError, ConfigError, ConfigNotFoundError, TokenError, AlreadyProtectedError } from './errors.js';
+
+/**
+ * Finds the JavaScript files matching the given patterns
+ * @param {string[]} patterns - Glob patterns
+ * @returns {Promise<string[]>} - Unique matching .js and .mjs files
+ */
+export async function findFiles(patterns) {
+  let allFiles = [];
+  for (const pattern of patterns) {
+    const files = await glob(pattern, { nodir: true });
+    allFiles = [...allFiles, ...files];
+  }
+
+  // Remove duplicates and keep JavaScript files only
+  return [...new Set(allFiles)].filter(file => file.endsWith('.js') || file.endsWith('.mjs'));
+}
+
+/**
+ * Determines the output path for an obfuscated file
+ * @param {string} inputFile - Original file path
+ * @param {Object} options - Output options (output, outputDir, outputExt)
+ * @param {string} [rootDir] - Directory mirrored under outputDir
+ * @returns {string} - Output file path
+ */
+export function getOutputPath(inputFile, options, rootDir = process.cwd()) {
+  const outputExt = options.outputExt || '';
+
+  // If specific output file specified (single file mode)
+  if (options.output) {
+    return options.output;
+  }
+
+  const ext = path.extname(inputFile);
+
+  // If output directory specified, mirror the tree below the root directory
+  if (options.outputDir) {
+    const relativePath = path.relative(rootDir, path.resolve(inputFile));
+    const newRelativePath = relativePath.slice(0, relativePath.length - ext.length) + `${outputExt}${ext}`;
+    return path.join(options.outputDir, newRelativePath);
+  }
+
+  // Default: modify the extension in the same directory
+  return inputFile.replace(ext, `${outputExt}${ext}`);
+}
+
+/**
+ * Validates output path options based on input files
+ * @param {string[]} files - Input files
+ * @param {Object} options - Output options
+ * @returns {void}
+ */
+function validateOutputOptions(files, options) {
+  if (files.length > 1 && options.output) {
+    throw new ConfigError('--output can only be used with a single input file. Use --output-dir to specify an output directory for multiple files.');
+  }
+
+  if (files.length > 1 && options.sourceMapPath) {
+    throw new ConfigError('--source-map-path can only be used with a single input file.');
+  }
+
+  if (files.length > 1 && options.symbolsPath) {
+    throw new ConfigError('--symbols-path can only be used with a single input file.');
+  }
+
+  const outputDir = options.output ? path.dirname(options.output) : options.outputDir;
+  if (outputDir && !existsSync(outputDir)) {
+    throw new ConfigError(`Output directory does not exist: ${outputDir}`);
+  }
+}
+
+/**
+ * Determines the directory that output paths under outputDir are relative to
+ * @param {string[]} patterns - Glob patterns
+ * @param {string[]} files - Matched input files
+ * @param {Object} options - Output options
+ * @returns {string} - Absolute root directory
+ */
+function getRootDir(patterns, files, options) {
+  const customRoot = options.root || options.baseDir;
+
+  // Default: the deepest directory containing the static base of every pattern
+  const rootDir = customRoot
+    ? path.resolve(customRoot)
+    : getCommonDirectory(patterns.map(getGlobBase));
+
+  if (customRoot && options.outputDir) {
+    const outside = files.filter(file => path.relative(rootDir, path.resolve(file)).startsWith('..'));
+    if (outside.length > 0) {
+      throw new ConfigError(`${outside.length} file(s) are outside the root directory ${customRoot}:`, { details: outside });
+    }
+  }
+
+  return rootDir;
+}
+
+/**
+ * Finds input files that would be written to the same output path
+ * @param {string[]} files - Input files
+ * @param {Object} options - Output options
+ * @param {string} rootDir - Directory mirrored under outputDir
+ * @returns {Array<{outputPath: string, files: string[]}>} - Colliding output paths
+ */
+function findOutputCollisions(files, options, rootDir) {
+  const filesByOutput = new Map();
+
+  files.forEach(file => {
+    const outputPath = getOutputPath(file, options, rootDir);
+    const key = path.resolve(outputPath);
+    if (!filesByOutput.has(key)) {
+      filesByOutput.set(key, { outputPath, files: [] });
+    }
+    filesByOutput.get(key).files.push(file);
+  });
+
+  return [...filesByOutput.values()].filter(entry => entry.files.length > 1);
+}
+
+/**
+ * Resolves how many failures stop the run early
+ * @param {Object} options - Run options
+ * @param {Object} config - Configuration object
+ * @returns {number|null} - Failure limit or null for no limit
+ */
+function getMaxFailures(options, config) {
+  if (options.bail || config.bail) {
+    return 1;
+  }
+
+  const value = options.maxFailures !== undefined ? options.maxFailures : config.maxFailures;
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const maxFailures = Number(value);
+  if (!Number.isInteger(maxFailures) || maxFailures < 1) {
+    throw new ConfigError(`Max failures must be a positive integer, got: ${value}`);
+  }
+
+  return maxFailures;
+}
+
+/**
+ * Resolves the number of files to protect in parallel
+ * @param {string|number|undefined} value - Concurrency option
+ * @param {Object} config - Configuration object
+ * @returns {number} - Concurrency limit
+ */
+function getConcurrency(value, config) {
+  const setting = value !== undefined ? value : config.concurrency;
+  if (setting === undefined || setting === null) {
+    return 1;
+  }
+
+  const concurrency = Number(setting);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new ConfigError(`Concurrency must be a positive integer, got: ${setting}`);
+  }
+
+  return concurrency;
+}
+
+/**
+ * Resolves the watermark, BOM, re-protection and syntax check settings
+ * @param {Object} options - Run options
+ * @param {Object} config - Configuration object
+ * @returns {{watermark: boolean|string, bom: boolean, force: boolean, verify: boolean}} - Output format settings
+ */
+export function getOutputFormat(options, config) {
+  let watermark = options.watermark !== undefined ? options.watermark : config.watermark;
+  if (watermark === undefined || watermark === null) {
+    watermark = true;
+  }
+
+  return {
+    watermark,
+    bom: options.bom !== false && config.bom !== false,
+    force: Boolean(options.force),
+    verify: options.verify !== false && config.verify !== false
+  };
+}
+
+/**
+ * Loads a configuration file with a profile applied and checks it against the schema
+ * @param {string} configPath - Path to the configuration file
+ * @param {string|null} profile - Profile to apply
+ * @returns {Promise<{config: Object, warnings: string[]}>} - Configuration and its schema warnings
+ * @throws {ConfigError} - If the file cannot be loaded or is invalid
+ */
+async function loadCheckedConfig(configPath, profile) {
+  let config;
+  try {
+    config = await loadConfig(configPath, [], false, { profile });
+  } catch (error) {
+    throw new ConfigError(error.message, { cause: error });
+  }
+
+  // Catch typos and invalid values before anything is uploaded
+  const { errors, warnings } = validateConfig(config);
+  if (errors.length > 0) {
+    throw new ConfigError(`Invalid configuration in ${getDisplayPath(configPath)}:`, { details: errors });
+  }
+  return { config, warnings };
+}
+
+/**
+ * Gets the path of the configuration file a file is protected with: the nearest one from its
+ * directory, or the configuration of the run when it was given with the config option
+ * @param {Object} plan - Plan from planProtection()
+ * @param {string} file - File path
+ * @returns {string} - Path to the configuration file
+ */
+export function getConfigPathForFile(plan, file) {
+  return (plan.configs && findConfigForFile(file)) || plan.configPath;
+}
+
+/**
+ * Gets the configuration a file is protected with, before its overrides are applied
+ * Each configuration file is loaded once per plan
+ * @param {Object} plan - Plan from planProtection()
+ * @param {string} file - File path
+ * @returns {Promise<Object>} - Configuration object
+ * @throws {ConfigError} - If the configuration file of the file cannot be loaded or is invalid
+ */
+export async function getConfigForFile(plan, file) {
+  if (!plan.configs) {
+    return plan.config;
+  }
+
+  const configPath = path.resolve(getConfigPathForFile(plan, file));
+  if (!plan.configs.has(configPath)) {
+    plan.configs.set(configPath, loadCheckedConfig(configPath, plan.profile).then(({ config, warnings }) => {
+      plan.warnings.push(...warnings.map(warning => `${getDisplayPath(configPath)}: ${warning}`));
+      return config;
+    }));
+  }
+  return plan.configs.get(configPath);
+}
+
+/**
+ * Resolves the settings shared by every way of protecting code (file runs, stdin and the
+ * bundler plugins): the shared symbols cache, the network settings and the cache directory
+ * @param {Object} options - Run options, see protectFiles()
+ * @param {Object} config - Configuration object
+ * @returns {Promise<{sharedSymbols: Object|null, network: Object, cacheDir: string|null}>} - Resolved settings
+ * @throws {ConfigError} - If the symbols file cannot be read or a network setting is invalid
+ */
+export async function resolveRunSettings(options, config) {
+  // Identifier names shared by every file of the run and across builds
+  let sharedSymbols = null;
+  if (options.symbolsIn || options.symbolsOut) {
+    // The same file can be read and updated, it does not exist before the first build
+    const firstBuild = options.symbolsIn && options.symbolsOut && !fileExists(options.symbolsIn) &&
+      path.resolve(options.symbolsIn) === path.resolve(options.symbolsOut);
+
+    try {
+      sharedSymbols = options.symbolsIn && !firstBuild ? await loadSymbols(options.symbolsIn) : {};
+    } catch (error) {
+      throw new ConfigError(error.message, { cause: error });
+    }
+    mergeSymbols(sharedSymbols, config.identifierNamesCache);
+  }
+
+  // Resolve API endpoint, proxy, CA bundle, retry policy and timeout: option > env var > config file
+  let network;
+  try {
+    network = resolveNetworkOptions({
+      apiUrl: options.apiUrl,
+      proxy: options.proxy,
+      caFile: options.caFile,
+      retries: options.retries,
+      retryDelay: options.retryDelay,
+      timeout: options.timeout
+    }, config);
+  } catch (error) {
+    throw new ConfigError(error.message, { cause: error });
+  }
+
+  return {
+    sharedSymbols,
+    network,
+    // Reuse results of unchanged files unless the cache is disabled: option > config file
+    cacheDir: options.cache === false || config.cache === false
+      ? null
+      : options.cacheDir || config.cacheDir || DEFAULT_CACHE_DIR
+  };
+}
+
+/**
+ * Resolves everything a protection run needs, without protecting anything: files,
+ * configuration, token, output paths and run settings. Used on its own for dry runs
+ * Returns early with no files when nothing matches or every match is excluded
+ * @param {Object} options - Run options, see protectFiles()
+ * @returns {Promise<Object>} - Run plan for runProtection()
+ */
+export async function planProtection(options = {}) {
+  const patterns = [].concat(options.patterns || []);
+  const profile = options.profile || process.env.SHIELD_PROFILE || null;
+
+  const plan = {
+    patterns,
+    files: [],
+    excludedFiles: [],
+    warnings: [],
+    configPath: null,
+    profile,
+    options: {
+      output: options.output || null,
+      outputDir: options.outputDir || null,
+      outputExt: options.outputExt || '',
+      backup: Boolean(options.backup),
+      sourceMap: Boolean(options.sourceMap),
+      sourceMapPath: options.sourceMapPath || null,
+      inlineSourceMap: Boolean(options.inlineSourceMap),
+      symbols: Boolean(options.symbols),
+      symbolsPath: options.symbolsPath || null,
+      symbolsOut: options.symbolsOut || null
+    }
+  };
+
+  let files = await findFiles(patterns);
+  if (files.length === 0) {
+    return plan;
+  }
+
+  // Configuration of the run as a whole, found from the directory that contains the files when none is given
+  const configPath = await validateConfigRequirement(options.config, files, false);
+  if (!configPath) {
+    throw new ConfigNotFoundError('No configuration file found.', {
+      details: [
+        'Create a shield.config.json file in your current directory',
+        'Create a shield.config.json file in the directory of your JavaScript files or one of its parents',
+        'Add a "shield" key to your package.json',
+        'Specify a configuration file with --config option'
+      ]
+    });
+  }
+
+  const { config, warnings: configWarnings } = await loadCheckedConfig(configPath, profile);
+  plan.configPath = configPath;
+  plan.config = config;
+  plan.warnings.push(...configWarnings);
+
+  // Watermark: option > config file > default marker; the BOM is left out if either turns it off
+  Object.assign(plan.options, getOutputFormat(options, config));
+
+  // Leave out files matched by .shieldignore, the exclude array of the config file or ignore patterns
+  const ignoreRules = await loadIgnoreRules({ exclude: config.exclude, ignore: options.ignore });
+  files = files.filter(file => {
+    const rule = findExcludingRule(file, ignoreRules);
+    if (rule) {
+      plan.excludedFiles.push({ file, rule });
+    }
+    return !rule;
+  });
+  plan.ignoreRules = ignoreRules;
+
+  if (files.length === 0) {
+    return plan;
+  }
+
+  // Each file is protected with the nearest configuration from its directory, unless one is given
+  if (!options.config) {
+    plan.configs = new Map([[path.resolve(configPath), Promise.resolve(config)]]);
+    for (const file of files) {
+      await getConfigForFile(plan, file);
+    }
+  }
+
+  // Resolve how many files are protected in parallel: option > config file > 1
+  let concurrency = getConcurrency(options.concurrency, config);
+
+  // Failure policy: stop after a number of failures, optionally counting skips: option > config file
+  const maxFailures = getMaxFailures(options, config);
+  const failOnSkipped = Boolean(options.failOnSkipped || config.failOnSkipped);
+
+  const { sharedSymbols, network, cacheDir } = await resolveRunSettings(options, config);
+
+  if (sharedSymbols) {
+    // Each file needs the renames of the files before it, in the same order on every build
+    files.sort();
+    if (concurrency > 1) {
+      plan.warnings.push('Files are protected one at a time with a shared symbols cache.');
+      concurrency = 1;
+    }
+  }
+
+  // Get token with priority: option > env var > config file
+  const token = getToken(options.token, config);
+  if (!token) {
+    throw new TokenError('ByteHide Shield project token is required.', {
+      details: [
+        'Use --token flag (token option)',
+        'Set BYTEHIDE_SHIELD_TOKEN environment variable',
+        'Set BYTEHIDE_TOKEN environment variable',
+        'Add ProjectToken field in shield.config.json',
+        'For more information, visit: docs.bytehide.com/platforms/javascript/products/shield/configuration-project-token'
+      ]
+    });
+  }
+
+  // A rejected token is a configuration error, an API that cannot be reached is a failed run
+  try {
+    await validateToken(token, network);
+  } catch (error) {
+    const ErrorClass = error instanceof TokenError ? TokenError : ShieldError;
+    throw new ErrorClass(`Token validation failed: ${error.message}`, { cause: error });
+  }
+
+  validateOutputOptions(files, plan.options);
+  const rootDir = getRootDir(patterns, files, { ...plan.options, root: options.root, baseDir: options.baseDir });
+
+  // Refuse to start if two inputs would overwrite each other's output
+  const collisions = findOutputCollisions(files, plan.options, rootDir);
+  if (collisions.length > 0) {
+    throw new ConfigError('Multiple files would be written to the same output path. Use --root to choose the directory that output paths are relative to.', {
+      details: collisions.map(({ outputPath, files: inputs }) => `${outputPath} ← ${inputs.join(', ')}`)
+    });
+  }
+
+  return Object.assign(plan, {
+    files,
+    token,
+    network,
+    rootDir,
+    cacheDir,
+    // Keep backups out of the source tree if a backup directory is set: option > config file
+    backupDir: options.backupDir || config.backupDir || null,
+    sharedSymbols,
+    singleFile: files.length === 1,
+    concurrency,
+    maxFailures,
+    failOnSkipped,
+    // Smoke test run on the written outputs: option > config file
+    verifyCommand: options.verifyCommand || config.verifyCommand || null,
+    // Stage all outputs and move them into place only if every file succeeds: option > config file
+    atomic: Boolean(options.atomic || config.atomic)
+  });
+}
+
+/**
+ * Protects the files of a plan
+ * @param {Object} plan - Plan from planProtection()
+ * @param {Object} [runOptions] - Run options
+ * @param {string[]} [runOptions.files] - Files to protect instead of the planned ones, such as changed files in watch mode
+ * @param {AbortSignal} [runOptions.signal] - Signal to cancel the pending files
+ * @param {Function} [runOptions.onProgress] - Called with start, success, skip, fail, cancel and bail events
+ * @param {Date} [runOptions.startedAt] - Start time of the run
+ * @returns {Promise<Object>} - Run result with a summary, the outcome of a batch verify command and one result per file, in input order
+ */
+export async function runProtection(plan, { files = plan.files, signal = null, onProgress = () => {}, startedAt = new Date() } = {}) {
+  const { options, token, network, rootDir, cacheDir, backupDir, singleFile, sharedSymbols, concurrency, maxFailures, failOnSkipped, verifyCommand, atomic } = plan;
+  const perFileCommand = Boolean(verifyCommand) && isPerFileCommand(verifyCommand);
+  const staging = atomic ? createStaging() : null;
+
+  const summary = { total: files.length, success: 0, cached: 0, skipped: 0, failed: 0, cancelled: 0 };
+  const results = new Array(files.length);
+  let failures = 0;
+  let bailed = false;
+  
+  // Files written by the run, with the previous contents of their outputs to revert them
+  // if the verify command fails
+  const written = [];
+
+  // Cancelling aborts in-flight requests, starts no new files and keeps outputs that
+  // were already written consistent
+  const abortController = new AbortController();
+  const onAbort = () => abortController.abort();
+  if (signal) {
+    if (signal.aborted) {
+      abortController.abort();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  }
+
+  // Count a failure and cancel the remaining files once the limit is reached
+  const countFailure = () => {
+    failures++;
+    if (maxFailures !== null && failures >= maxFailures && !abortController.signal.aborted) {
+      bailed = true;
+      onProgress({ type: 'bail', failures });
+      abortController.abort();
+    }
+  };
+
+  await runWithConcurrency(files, concurrency, async (file, index) => {
+    const outputPath = getOutputPath(file, options, rootDir);
+    let backupPath = null;
+    let cacheHit = false;
+    let previousOutputs = [];
+    const fileStartedAt = Date.now();
+    const finish = (type, status, details = {}) => {
+      results[index] = { file, status, outputPath, durationMs: Date.now() - fileStartedAt, ...details };
+      onProgress({ type, file, index, total: files.length, result: results[index] });
+    };
+
+    if (abortController.signal.aborted) {
+      summary.cancelled++;
+      finish('cancel', 'cancelled', { reason: 'Cancelled' });
+      return;
+    }
+
+    onProgress({ type: 'start', file, index, total: files.length, result: null });
+
+    try {
+      if (!fileExists(file)) {
+        summary.failed++;
+        finish('fail', 'failed', { error: 'File not found' });
+        countFailure();
+        return;
+      }
+
+      // Ensure output directory exists
+      const outputDir = path.dirname(outputPath);
+      if (!existsSync(outputDir)) {
+        await fs.mkdir(outputDir, { recursive: true });
+      }
+
+      // Skip protected files before the backup is made, it would hold protected code
+      const isProtected = isAlreadyObfuscated(await readFile(file), options.watermark);
+      if (!options.force && isProtected) {
+        throw new AlreadyProtectedError(file);
+      }
+
+      // Create backup of original file before obfuscation if needed, only files protected in place are overwritten
+      if (options.backup && path.resolve(outputPath) === path.resolve(file)) {
+        backupPath = await createBackup(file, backupDir, { isProtected });
+      }
+
+      // Renames from files protected earlier in the run are passed on to the next file
+      const fileConfig = getFileConfig(await getConfigForFile(plan, file), file);
+      if (sharedSymbols) {
+        fileConfig.identifierNamesCache = sharedSymbols;
+      }
+
+      await obfuscateFile({
+        filePath: file,
+        token,
+        config: fileConfig,
+        outputPath,
+        generateSourceMap: options.sourceMap,
+        inlineSourceMap: options.inlineSourceMap,
+        saveSymbols: options.symbols,
+        // Only use custom paths for source maps and symbols if we're processing a single file
+        sourceMapPath: singleFile ? options.sourceMapPath : null,
+        symbolsPath: singleFile ? options.symbolsPath : null,
+        network,
+        signal: abortController.signal,
+        cacheDir,
+        onCacheHit: () => {
+          cacheHit = true;
+        },
+        watermark: options.watermark,
+        bom: options.bom,
+        force: options.force,
+        verify: options.verify,
+        staging,
+        onWrite: verifyCommand
+          ? (outputs) => {
+            previousOutputs = outputs;
+          }
+          : null,
+        onResult: ({ symbols }) => {
+          if (sharedSymbols) {
+            mergeSymbols(sharedSymbols, symbols);
+          }
+        }
+      });
+
+      // In atomic mode, files are only in place once the batch is committed
+      if (perFileCommand && !staging) {
+        try {
+          await runVerifyCommand(verifyCommand, outputPath);
+        } catch (error) {
+          await revertOutputs(previousOutputs);
+          if (backupPath) {
+            await fs.rm(backupPath, { force: true });
+          }
+          throw error;
+        }
+      } else if (verifyCommand || staging) {
+        written.push({ index, outputs: previousOutputs, backupPath });
+      }
+
+      if (cacheHit) {
+        summary.cached++;
+      }
+      summary.success++;
+      finish('success', 'success', { cached: cacheHit });
+    } catch (error) {
+      if (isAbortError(error)) {
+        // The original was left untouched, so its backup is not needed
+        if (backupPath) {
+          await fs.rm(backupPath, { force: true });
+        }
+        summary.cancelled++;
+        finish('cancel', 'cancelled', { reason: 'Cancelled' });
+      } else if (error instanceof AlreadyProtectedError) {
+        summary.skipped++;
+        finish('skip', 'skipped', { reason: 'Already protected' });
+        if (failOnSkipped) {
+          countFailure();
+        }
+      } else {
+        summary.failed++;
+        finish('fail', 'failed', { error: error.message });
+        countFailure();
+      }
+    }
+  });
+
+  if (signal) {
+    signal.removeEventListener('abort', onAbort);
+  }
+
+  // Staged outputs are moved into place together, or not at all if any file failed or the run was cancelled
+  if (staging && failures === 0 && !abortController.signal.aborted) {
+    await staging.commit();
+  } else if (staging) {
+    await staging.discard();
+    for (const { index, backupPath } of written) {
+      if (backupPath) {
+        await fs.rm(backupPath, { force: true });
+      }
+      if (results[index].cached) {
+        summary.cached--;
+      }
+      summary.success--;
+      summary.cancelled++;
+      results[index] = { ...results[index], status: 'cancelled', cached: false, reason: 'Not written, the batch did not complete' };
+    }
+    written.length = 0;
+  }
+
+  // A verify command without {file} runs once on the whole batch, and a failure reverts every file
+  // In atomic mode, a {file} command runs on each file after the commit and also reverts every file
+  let verify = null;
+  if (verifyCommand && (!perFileCommand || staging) && written.length > 0 && !(signal && signal.aborted)) {
+    try {
+      if (perFileCommand) {
+        for (const { index } of written) {
+          await runVerifyCommand(verifyCommand, results[index].outputPath);
+        }
+      } else {
+        await runVerifyCommand(verifyCommand);
+      }
+      verify = { command: verifyCommand, passed: true, reverted: 0 };
+    } catch (error) {
+      for (const { index, outputs, backupPath } of written) {
+        await revertOutputs(outputs);
+        if (backupPath) {
+          await fs.rm(backupPath, { force: true });
+        }
+        if (results[index].cached) {
+          summary.cached--;
+        }
+        summary.success--;
+        summary.failed++;
+        failures++;
+        results[index] = { ...results[index], status: 'failed', cached: false, error: error.message };
+      }
+      verify = { command: verifyCommand, passed: false, reverted: written.length, error: error.message, details: error.details || [] };
+    }
+  }
+
+  // Save the renames of every protected file, including the ones before an interruption,
+  // unless an atomic batch wrote nothing
+  if (sharedSymbols && options.symbolsOut && !(staging && summary.success === 0)) {
+    await saveSymbols(options.symbolsOut, sharedSymbols);
+  }
+
+  return {
+    startedAt: startedAt.toISOString(),
+    durationMs: Date.now() - startedAt.getTime(),
+    interrupted: abortController.signal.aborted && !bailed,
+    bailed,
+    failures,
+    summary,
+    verify,
+    files: results
+  };
+}
+
+/**
+ * Finds, configures and protects files, without writing to the console or exiting the process
+ * @param {Object} options - Run options
+ * @param {string|string[]} options.patterns - Glob patterns of the files to protect
+ * @param {string} [options.config] - Path to the configuration file (default: discovered like the CLI)
+ * @param {string} [options.profile] - Configuration profile to apply (default: SHIELD_PROFILE)
+ * @param {string} [options.token] - ByteHide Shield project token (default: env var or config file)
+ * @param {string[]} [options.ignore] - Patterns of files to exclude, with .gitignore syntax
+ * @param {string} [options.output] - Output path, for a single file
+ * @param {string} [options.outputDir] - Output directory mirroring the tree below root
+ * @param {string} [options.outputExt] - Extension added to protected files, such as .obf
+ * @param {string} [options.root] - Directory mirrored under outputDir (default: base of the patterns)
+ * @param {boolean} [options.backup] - Create a backup of each file before protecting it (default: false)
+ * @param {string} [options.backupDir] - Directory for backups
+ * @param {boolean} [options.sourceMap] - Write a .map file next to each protected file
+ * @param {string} [options.sourceMapPath] - Custom source map path, for a single file
+ * @param {boolean} [options.inlineSourceMap] - Embed the source map in each protected file
+ * @param {boolean} [options.symbols] - Write a .symbols.json file next to each protected file
+ * @param {string} [options.symbolsPath] - Custom symbols path, for a single file
+ * @param {string} [options.symbolsIn] - Identifier names cache to start from, shared by all files
+ * @param {string} [options.symbolsOut] - File to write the identifier names of all files to
+ * @param {boolean} [options.cache] - Set to false to always call the API
+ * @param {string} [options.cacheDir] - Directory for cached protection results
+ * @param {boolean|string} [options.watermark] - false to leave out the watermark line, or a custom comment for it
+ * @param {boolean} [options.bom] - Set to false to write files without a UTF-8 BOM
+ * @param {boolean} [options.force] - Protect files that already carry a watermark
+ * @param {boolean} [options.verify] - Set to false to skip the syntax check of the protected code
+ * @param {string} [options.verifyCommand] - Shell command run after the files are written, once per file with a {file} placeholder or else once; outputs are reverted when it fails
+ * @param {boolean} [options.atomic] - Write the outputs only if every file succeeds, all at once at the end of the run
+ * @param {number} [options.concurrency] - Files protected in parallel
+ * @param {boolean} [options.bail] - Stop at the first failed file
+ * @param {number} [options.maxFailures] - Stop after this many failed files
+ * @param {boolean} [options.failOnSkipped] - Count already protected files as failures
+ * @param {string} [options.apiUrl] - ByteHide Shield API endpoint
+ * @param {string} [options.proxy] - Proxy URL for API requests
+ * @param {string} [options.caFile] - PEM file with additional CA certificates
+ * @param {number} [options.retries] - Retries for 429, 5xx and connection errors
+ * @param {number} [options.retryDelay] - Base retry delay in milliseconds
+ * @param {number} [options.timeout] - Request timeout in milliseconds
+ * @param {AbortSignal} [options.signal] - Signal to cancel the pending files
+ * @param {Function} [options.onProgress] - Called with start, success, skip, fail, cancel and bail events
+ * @returns {Promise<Object>} - Run result with a summary and one result per file
+ */
+export async function protectFiles(options = {}) {
+  const plan = await planProtection(options);
+  return runProtection(plan, { signal: options.signal, onProgress: options.onProgress });
+}
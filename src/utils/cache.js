@@ -0,0 +1,131 @@
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import crypto from 'crypto';
+import path from 'path';
+import { readFile, writeFile } from './files.js';
+import { getObfuscationConfig } from './config.js';
+
+// Default directory for cached protection results
+export const DEFAULT_CACHE_DIR = '.shield-cache';
+
+// Bump when the layout of cache entries changes
+const CACHE_VERSION = 2;
+
+/**
+ * Serializes a value as JSON with object keys sorted, so equal configs hash equally
+ * @param {*} value - Value to serialize
+ * @returns {string} - Stable JSON string
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Computes the cache key for a protection request
+ * @param {string} code - Source code to protect
+ * @param {Object} config - Effective configuration
+ * @param {string} token - ByteHide Shield project token
+ * @returns {string} - Hex digest identifying the request
+ */
+export function getCacheKey(code, config, token) {
+  return crypto.createHash('sha256')
+    .update(`v${CACHE_VERSION}\0`)
+    .update(crypto.createHash('sha256').update(token || '').digest('hex'))
+    .update('\0')
+    .update(stableStringify(getObfuscationConfig(config)))
+    .update('\0')
+    .update(code)
+    .digest('hex');
+}
+
+/**
+ * Gets the path of a cache entry
+ * @param {string} cacheDir - Cache directory
+ * @param {string} key - Cache key
+ * @returns {string} - Entry file path
+ */
+function getEntryPath(cacheDir, key) {
+  return path.join(cacheDir, key.slice(0, 2), `${key}.json`);
+}
+
+/**
+ * Reads a cached protection result
+ * @param {string} cacheDir - Cache directory
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} - Result with output, sourceMap and symbols, or null on a miss
+ */
+export async function readCacheEntry(cacheDir, key) {
+  const entryPath = getEntryPath(cacheDir, key);
+  if (!existsSync(entryPath)) {
+    return null;
+  }
+
+  try {
+    const entry = JSON.parse(await readFile(entryPath));
+    if (entry.version !== CACHE_VERSION || typeof entry.output !== 'string') {
+      return null;
+    }
+    return {
+      output: entry.output,
+      sourceMap: entry.sourceMap || null,
+      symbols: entry.symbols || null
+    };
+  } catch (error) {
+    // A corrupt entry is treated as a miss and overwritten on the next write
+    return null;
+  }
+}
+
+/**
+ * Stores a protection result in the cache
+ * @param {string} cacheDir - Cache directory
+ * @param {string} key - Cache key
+ * @param {Object} result - Result with output, sourceMap and symbols
+ * @returns {Promise<void>}
+ */
+export async function writeCacheEntry(cacheDir, key, result) {
+  const entry = {
+    version: CACHE_VERSION,
+    createdAt: new Date().toISOString(),
+    output: result.output,
+    sourceMap: result.sourceMap || null,
+    symbols: result.symbols || null
+  };
+
+  await writeFile(getEntryPath(cacheDir, key), JSON.stringify(entry));
+}
+
+/**
+ * Removes every cached protection result
+ * @param {string} cacheDir - Cache directory
+ * @returns {Promise<number>} - Number of entries removed
+ */
+export async function clearCache(cacheDir) {
+  if (!existsSync(cacheDir)) {
+    return 0;
+  }
+
+  let count = 0;
+  const buckets = await fs.readdir(cacheDir, { withFileTypes: true });
+  for (const bucket of buckets) {
+    if (bucket.isDirectory()) {
+      const entries = await fs.readdir(path.join(cacheDir, bucket.name));
+      count += entries.filter(entry => entry.endsWith('.json')).length;
+    }
+  }
+
+  await fs.rm(cacheDir, { recursive: true, force: true });
+  return count;
+}
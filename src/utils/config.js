@@ -1,7 +1,13 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { existsSync } from 'fs';
+import { existsSync, readFileSync } from 'fs';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
 import chalk from 'chalk';
+import { minimatch } from 'minimatch';
+import { EXIT_CODES } from './exit-codes.js';
+import { ConfigNotFoundError } from './errors.js';
+import { getCommonDirectory } from './files.js';
 
 // Default configuration for ByteHide Shield
 const DEFAULT_CONFIG = {
@@ -10,22 +16,138 @@ const DEFAULT_CONFIG = {
   devtoolsBlocking: false
 };
 
-// Default config file name
-const DEFAULT_CONFIG_FILE = 'shield.config.json';
+// Config file names searched in each directory, in order of precedence
+const CONFIG_FILE_NAMES = [
+  'shield.config.json',
+  'shield.config.js',
+  'shield.config.cjs',
+  'shield.config.mjs'
+];
+
+// Key of package.json that can hold the configuration instead of a config file
+const PACKAGE_JSON_KEY = 'shield';
+
+// Directory of the config file that declares each override, its file patterns are relative to it
+const overrideBasePaths = new WeakMap();
+
+// Config keys that configure the CLI itself and are not sent to the API
+export const CLI_CONFIG_KEYS = [
+  'apiUrl',
+  'proxy',
+  'caFile',
+  'concurrency',
+  'retries',
+  'retryDelay',
+  'timeout',
+  'cache',
+  'cacheDir',
+  'backupDir',
+  'bail',
+  'maxFailures',
+  'failOnSkipped',
+  'watermark',
+  'bom',
+  'verify',
+  'verifyCommand',
+  'atomic',
+  'exclude',
+  'overrides',
+  'profiles'
+];
+
+// Config keys that control how the CLI prepares each file, not sent to the API but allowed in overrides
+export const FILE_CONFIG_KEYS = [
+  'preserveShebang',
+  'preserveLegalComments',
+  'preserveDirectives'
+];
 
 /**
- * Find the config file in the specified directories
+ * Checks if a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for non-null, non-array objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks if a package.json file has a configuration under the shield key
+ * @param {string} packageJsonPath - Path to package.json
+ * @returns {boolean} - True if the key holds an object
+ */
+function hasPackageJsonConfig(packageJsonPath) {
+  try {
+    return isPlainObject(JSON.parse(readFileSync(packageJsonPath, 'utf-8'))[PACKAGE_JSON_KEY]);
+  } catch (error) {
+    // An unreadable package.json is not a config source
+    return false;
+  }
+}
+
+/**
+ * Find the config file in a single directory
+ * @param {string} directory - Directory to search
+ * @returns {string|null} - Path to the config file or null if not found
+ */
+function findConfigInDirectory(directory) {
+  for (const fileName of CONFIG_FILE_NAMES) {
+    const configPath = path.join(directory, fileName);
+    if (existsSync(configPath)) {
+      return configPath;
+    }
+  }
+  
+  const packageJsonPath = path.join(directory, 'package.json');
+  if (existsSync(packageJsonPath) && hasPackageJsonConfig(packageJsonPath)) {
+    return packageJsonPath;
+  }
+  
+  return null;
+}
+
+/**
+ * Gets a directory and its parents up to the repository root (the first directory with .git)
+ * @param {string} directory - Starting directory
+ * @returns {string[]} - Absolute directories, nearest first
+ */
+function getDirectoriesUpToRoot(directory) {
+  const directories = [];
+  let current = path.resolve(directory);
+  
+  while (true) {
+    directories.push(current);
+    
+    const parent = path.dirname(current);
+    if (existsSync(path.join(current, '.git')) || parent === current) {
+      return directories;
+    }
+    current = parent;
+  }
+}
+
+/**
+ * Find the config file in the specified directories, walking up from each one to the repository root
  * @param {string[]} directories - Directories to search for config file
  * @returns {string|null} - Path to the config file or null if not found
  */
 export function findConfigInDirectories(directories) {
   // Remove duplicates and non-existent directories
   const uniqueDirs = [...new Set(directories)].filter(dir => existsSync(dir));
+  const searched = new Set();
   
   for (const dir of uniqueDirs) {
-    const configPath = path.join(dir, DEFAULT_CONFIG_FILE);
-    if (existsSync(configPath)) {
-      return configPath;
+    for (const candidate of getDirectoriesUpToRoot(dir)) {
+      // Files in the same tree share most of their parents
+      if (searched.has(candidate)) {
+        continue;
+      }
+      searched.add(candidate);
+      
+      const configPath = findConfigInDirectory(candidate);
+      if (configPath) {
+        return configPath;
+      }
     }
   }
   
@@ -37,11 +159,17 @@ export function findConfigInDirectories(directories) {
  * @returns {string|null} - Path to the config file or null if not found
  */
 export function findDefaultConfigFile() {
-  const defaultPath = path.join(process.cwd(), DEFAULT_CONFIG_FILE);
-  if (existsSync(defaultPath)) {
-    return defaultPath;
-  }
-  return null;
+  return findConfigInDirectory(process.cwd());
+}
+
+/**
+ * Find the config file of a single file: the nearest one from its directory up to the repository root,
+ * or the one in the current working directory
+ * @param {string} filePath - File path
+ * @returns {string|null} - Path to the config file or null if not found
+ */
+export function findConfigForFile(filePath) {
+  return findConfigInDirectories([path.dirname(path.resolve(filePath))]) || findDefaultConfigFile();
 }
 
 /**
@@ -87,6 +215,58 @@ export function getToken(cliToken, config) {
   return extractTokenFromConfig(config);
 }
 
+/**
+ * Removes CLI-only settings from a config before it is sent to the API
+ * @param {Object} config - Configuration object
+ * @returns {Object} - Obfuscation options only
+ */
+export function getObfuscationConfig(config = {}) {
+  const obfuscationConfig = { ...config };
+  for (const key of [...CLI_CONFIG_KEYS, ...FILE_CONFIG_KEYS]) {
+    delete obfuscationConfig[key];
+  }
+  return obfuscationConfig;
+}
+
+/**
+ * Finds the overrides whose file patterns match a file
+ * Patterns are relative to the directory of the config file that declares them
+ * @param {Object} config - Configuration object
+ * @param {string} filePath - File path
+ * @returns {Array<{index: number, files: string[], config: Object}>} - Matching overrides in config order
+ */
+export function getMatchingOverrides(config, filePath) {
+  if (!Array.isArray(config.overrides)) {
+    return [];
+  }
+  
+  const absolutePath = path.resolve(filePath);
+  
+  return config.overrides
+    .map((override, index) => ({
+      index,
+      basePath: overrideBasePaths.get(override) || process.cwd(),
+      files: [].concat(override.files || []),
+      config: override.config || {}
+    }))
+    .filter(({ basePath, files }) => {
+      const relativePath = path.relative(basePath, absolutePath).split(path.sep).join('/');
+      return files.some(pattern => minimatch(relativePath, pattern.replace(/^\.\//, ''), { dot: true }));
+    })
+    .map(({ basePath, ...override }) => override);
+}
+
+/**
+ * Gets the configuration for a file, with matching overrides merged on top of the base config
+ * @param {Object} config - Configuration object
+ * @param {string} filePath - File path
+ * @returns {Object} - Effective configuration, later overrides win
+ */
+export function getFileConfig(config, filePath) {
+  return getMatchingOverrides(config, filePath)
+    .reduce((fileConfig, override) => ({ ...fileConfig, ...override.config }), { ...config });
+}
+
 /**
  * Validate if config exists and if not, throw error when required
  * @param {string|null} configPath - Path to configuration file
@@ -102,18 +282,27 @@ export async function validateConfigRequirement(configPath, filePaths, required
   
   // If config path is provided but doesn't exist
   if (configPath) {
-    throw new Error(`Configuration file not found: ${configPath}`);
+    throw new ConfigNotFoundError(`Configuration file not found: ${configPath}`);
+  }
+  
+  const dirs = filePaths && filePaths.length > 0 ? getDirectoriesFromFiles(filePaths) : [];
+  
+  // Look for config from the directory that contains all the files, up to the repository root
+  if (dirs.length > 0) {
+    const foundConfig = findConfigInDirectories([getCommonDirectory(dirs)]);
+    if (foundConfig) {
+      return foundConfig;
+    }
   }
   
-  // Look for config in the current directory
+  // Fall back to the config in the current directory
   const cwdConfig = findDefaultConfigFile();
   if (cwdConfig) {
     return cwdConfig;
   }
   
-  // Look for config in file directories
-  if (filePaths && filePaths.length > 0) {
-    const dirs = getDirectoriesFromFiles(filePaths);
+  // Files in separate packages may each have a config without a shared one
+  if (dirs.length > 0) {
     const foundConfig = findConfigInDirectories(dirs);
     if (foundConfig) {
       return foundConfig;
@@ -125,22 +314,179 @@ export async function validateConfigRequirement(configPath, filePaths, required
     console.error(chalk.red('Error: No configuration file found.'));
     console.error(chalk.yellow('A configuration file is required. You can:'));
     console.error('  1. Create a shield.config.json file in your current directory');
-    console.error('  2. Create a shield.config.json file in the directory of your JavaScript files');
-    console.error('  3. Specify a configuration file with --config option');
-    process.exit(1);
+    console.error('  2. Create a shield.config.json file in the directory of your JavaScript files or one of its parents');
+    console.error('  3. Add a "shield" key to your package.json');
+    console.error('  4. Specify a configuration file with --config option');
+    process.exit(EXIT_CODES.CONFIG_ERROR);
   }
   
   return null;
 }
 
+/**
+ * Reads and parses a single configuration file, without resolving extends
+ * @param {string} configPath - Path to configuration file
+ * @returns {Promise<Object>} - Configuration object as written in the file
+ */
+async function readConfigFile(configPath) {
+  if (path.basename(configPath) === 'package.json') {
+    const packageJson = JSON.parse(await fs.readFile(configPath, 'utf-8'));
+    if (!isPlainObject(packageJson[PACKAGE_JSON_KEY])) {
+      throw new Error(`${path.relative(process.cwd(), configPath)} has no "${PACKAGE_JSON_KEY}" key`);
+    }
+    return packageJson[PACKAGE_JSON_KEY];
+  }
+  
+  if (configPath.endsWith('.json')) {
+    const configContent = await fs.readFile(configPath, 'utf-8');
+    return JSON.parse(configContent);
+  }
+  
+  if (/\.[cm]?js$/.test(configPath)) {
+    // Dynamic import loads ES modules and CommonJS alike, .js follows the nearest package.json type
+    const configModule = await import(pathToFileURL(path.resolve(configPath)).href);
+    return configModule.default || configModule;
+  }
+  
+  throw new Error('Configuration file must be .json, .js, .cjs, .mjs or package.json');
+}
+
+/**
+ * Records the directory of a config file as the base of the overrides it declares,
+ * including the overrides of its profiles
+ * @param {Object} config - Configuration object as written in the file
+ * @param {string} configPath - Absolute path of the config file
+ * @returns {Object} - Configuration with copies of its overrides, so shared modules are not changed
+ */
+function setOverrideBasePath(config, configPath) {
+  const directory = path.dirname(configPath);
+  const withBasePath = (overrides) => overrides.map(override => {
+    if (!isPlainObject(override)) {
+      return override;
+    }
+    const copy = { ...override };
+    overrideBasePaths.set(copy, directory);
+    return copy;
+  });
+  
+  const result = { ...config };
+  if (Array.isArray(config.overrides)) {
+    result.overrides = withBasePath(config.overrides);
+  }
+  if (isPlainObject(config.profiles)) {
+    result.profiles = Object.fromEntries(Object.entries(config.profiles).map(([name, profile]) => [
+      name,
+      isPlainObject(profile) && Array.isArray(profile.overrides)
+        ? { ...profile, overrides: withBasePath(profile.overrides) }
+        : profile
+    ]));
+  }
+  
+  return result;
+}
+
+/**
+ * Resolves a config referenced by extends
+ * @param {string} reference - Relative path, absolute path or package name
+ * @param {string} configPath - Path of the config that extends it
+ * @returns {string} - Absolute path of the referenced config
+ */
+function resolveExtendsPath(reference, configPath) {
+  if (reference.startsWith('.') || path.isAbsolute(reference)) {
+    const resolvedPath = path.resolve(path.dirname(configPath), reference);
+    if (!existsSync(resolvedPath)) {
+      throw new Error(`Cannot find "${reference}" extended by ${path.relative(process.cwd(), configPath)}`);
+    }
+    return resolvedPath;
+  }
+  
+  // Package name, resolved from the extending config like an import would be
+  try {
+    return createRequire(configPath).resolve(reference);
+  } catch (error) {
+    throw new Error(`Cannot find package "${reference}" extended by ${path.relative(process.cwd(), configPath)}`);
+  }
+}
+
+/**
+ * Merges a config on top of another one
+ * Overrides are concatenated and profiles are merged by name, other options are replaced
+ * @param {Object} base - Base configuration
+ * @param {Object} config - Configuration applied on top
+ * @returns {Object} - Merged configuration
+ */
+function mergeConfigs(base, config) {
+  const merged = { ...base, ...config };
+  
+  if (Array.isArray(base.overrides) && Array.isArray(config.overrides)) {
+    merged.overrides = [...base.overrides, ...config.overrides];
+  }
+  
+  if (isPlainObject(base.profiles) && isPlainObject(config.profiles)) {
+    merged.profiles = { ...base.profiles };
+    for (const [name, profile] of Object.entries(config.profiles)) {
+      merged.profiles[name] = { ...merged.profiles[name], ...profile };
+    }
+  }
+  
+  return merged;
+}
+
+/**
+ * Reads a configuration file and the configs it extends, which are applied first
+ * @param {string} configPath - Path to configuration file
+ * @param {string[]} chain - Configs currently being resolved, to detect cycles
+ * @returns {Promise<Object>} - Configuration with extends resolved
+ */
+async function readConfigWithExtends(configPath, chain = []) {
+  const resolvedPath = path.resolve(configPath);
+  
+  if (chain.includes(resolvedPath)) {
+    const cycle = [...chain, resolvedPath].map(file => path.relative(process.cwd(), file)).join(' -> ');
+    throw new Error(`Circular extends: ${cycle}`);
+  }
+  
+  const { extends: parents, ...config } = setOverrideBasePath(await readConfigFile(resolvedPath), resolvedPath);
+  
+  let merged = {};
+  for (const parent of [].concat(parents || [])) {
+    const parentConfig = await readConfigWithExtends(resolveExtendsPath(parent, resolvedPath), [...chain, resolvedPath]);
+    merged = mergeConfigs(merged, parentConfig);
+  }
+  
+  return mergeConfigs(merged, config);
+}
+
+/**
+ * Applies a named profile on top of a configuration
+ * @param {Object} config - Configuration with extends resolved
+ * @param {string|undefined} profile - Profile name
+ * @returns {Object} - Configuration for the profile
+ */
+function applyProfile(config, profile) {
+  if (!profile) {
+    return config;
+  }
+  
+  const profiles = isPlainObject(config.profiles) ? config.profiles : {};
+  if (!Object.prototype.hasOwnProperty.call(profiles, profile)) {
+    const available = Object.keys(profiles);
+    throw new Error(`Unknown profile "${profile}". ${available.length > 0 ? `Available profiles: ${available.join(', ')}` : 'No profiles are defined'}`);
+  }
+  
+  return mergeConfigs(config, profiles[profile]);
+}
+
 /**
  * Loads configuration from a file or returns default configuration
  * @param {string|null} configPath - Path to configuration file
  * @param {string[]} filePaths - File paths to check for config
  * @param {boolean} required - Whether config is required
+ * @param {Object} [options] - Loading options
+ * @param {string} [options.profile] - Profile to apply (default: SHIELD_PROFILE environment variable)
  * @returns {Promise<Object>} - Configuration object
  */
-export async function loadConfig(configPath = null, filePaths = [], required = false) {
+export async function loadConfig(configPath = null, filePaths = [], required = false, { profile = process.env.SHIELD_PROFILE } = {}) {
   // Validate and find config file
   const validatedConfigPath = await validateConfigRequirement(configPath, filePaths, required);
   
@@ -150,19 +496,8 @@ export async function loadConfig(configPath = null, filePaths = [], required = f
   }
   
   try {
-    // Read and parse configuration file
-    const configContent = await fs.readFile(validatedConfigPath, 'utf-8');
-    let config;
-    
-    if (validatedConfigPath.endsWith('.json')) {
-      config = JSON.parse(configContent);
-    } else if (validatedConfigPath.endsWith('.js')) {
-      // For .js files, we need to use dynamic import
-      const configModule = await import(path.resolve(validatedConfigPath));
-      config = configModule.default || configModule;
-    } else {
-      throw new Error('Configuration file must be either .json or .js');
-    }
+    // Read and parse configuration file, then the selected profile
+    const config = applyProfile(await readConfigWithExtends(validatedConfigPath), profile);
     
     // Extract any non-obfuscation config properties
     const { ProjectToken, projectToken, ...obfuscationConfig } = config;
@@ -0,0 +1,49 @@
+/**
+ * Base class of the errors thrown by the programmatic API
+ */
+export class ShieldError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {string[]} [options.details] - Additional lines, such as the files an error applies to
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { details = [], cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.details = details;
+  }
+}
+
+/**
+ * Invalid configuration file or options, such as an unknown profile or an unusable output path
+ */
+export class ConfigError extends ShieldError {}
+
+/**
+ * No configuration file was found, or the given one does not exist
+ */
+export class ConfigNotFoundError extends ConfigError {}
+
+/**
+ * The project token is missing or was rejected by the API
+ */
+export class TokenError extends ConfigError {}
+
+/**
+ * The protected code does not parse, or the verify command failed on it
+ */
+export class VerificationError extends ShieldError {}
+
+/**
+ * A file already carries the protection watermark
+ */
+export class AlreadyProtectedError extends ShieldError {
+  /**
+   * @param {string} filePath - Path of the protected file
+   */
+  constructor(filePath) {
+    super('The file has already been protected.');
+    this.filePath = filePath;
+  }
+}
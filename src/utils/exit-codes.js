@@ -0,0 +1,27 @@
+// Process exit codes of the CLI
+export const EXIT_CODES = {
+  // Every file was protected, or skipped without counting as a failure
+  SUCCESS: 0,
+  // No file was protected and at least one failed
+  FAILURE: 1,
+  // Some files were protected and some failed
+  PARTIAL_FAILURE: 2,
+  // Invalid options, configuration or project token, nothing was protected
+  CONFIG_ERROR: 3,
+  // The run was stopped with Ctrl+C (128 + SIGINT)
+  INTERRUPTED: 130
+};
+
+/**
+ * Gets the exit code of a batch run from its file counts
+ * @param {Object} counts - File counts
+ * @param {number} counts.protected - Files protected, including cache hits
+ * @param {number} counts.failures - Files counted as failures
+ * @returns {number} - Exit code
+ */
+export function getBatchExitCode({ protected: protectedCount, failures }) {
+  if (failures === 0) {
+    return EXIT_CODES.SUCCESS;
+  }
+  return protectedCount > 0 ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.FAILURE;
+}
@@ -1,6 +1,11 @@
+import crypto from 'crypto';
 import fs from 'fs/promises';
-import { existsSync } from 'fs';
+import { existsSync, constants as fsConstants } from 'fs';
 import path from 'path';
+import { hasMagic } from 'glob';
+
+// Backup directory segment for files outside the working directory
+const ABSOLUTE_BACKUP_DIR = '_absolute';
 
 /**
  * Check if a file exists
@@ -11,14 +16,85 @@ export function fileExists(filePath) {
   return existsSync(filePath);
 }
 
+/**
+ * Gets the backup path of a file
+ * @param {string} filePath - Path to the file
+ * @param {string|null} [backupDir] - Directory that mirrors the source tree, next to the file if not set
+ * @returns {string} - Path to the backup file
+ */
+export function getBackupPath(filePath, backupDir = null) {
+  if (!backupDir) {
+    return `${filePath}.backup`;
+  }
+  
+  // Mirror the path relative to the working directory, or the absolute path for files outside it
+  const absolutePath = path.resolve(filePath);
+  let relativePath = path.relative(process.cwd(), absolutePath);
+  if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    relativePath = path.join(ABSOLUTE_BACKUP_DIR, absolutePath.slice(path.parse(absolutePath).root.length));
+  }
+  
+  return path.join(backupDir, `${relativePath}.backup`);
+}
+
+/**
+ * Gets the original file path from a backup path
+ * @param {string} backupPath - Path to the backup file
+ * @param {string|null} [backupDir] - Directory that mirrors the source tree, next to the file if not set
+ * @returns {string} - Path to the original file
+ */
+export function getOriginalPath(backupPath, backupDir = null) {
+  const withoutSuffix = backupPath.replace(/\.backup$/, '');
+  if (!backupDir) {
+    return withoutSuffix;
+  }
+  
+  const relativePath = path.relative(backupDir, withoutSuffix);
+  if (relativePath.split(path.sep)[0] === ABSOLUTE_BACKUP_DIR) {
+    return path.join(path.parse(process.cwd()).root, path.relative(ABSOLUTE_BACKUP_DIR, relativePath));
+  }
+  
+  return relativePath;
+}
+
 /**
  * Create a backup of a file
+ * A backup left from an earlier run is kept if it matches the file and replaced if the file
+ * changed since, unless the file is a protected output: the backup is then the only copy of the original
  * @param {string} filePath - Path to the file
- * @returns {Promise<string>} - Path to the backup file
+ * @param {string|null} [backupDir] - Directory that mirrors the source tree, next to the file if not set
+ * @param {Object} [options] - Backup options
+ * @param {boolean} [options.isProtected] - Whether the file already holds protected code
+ * @returns {Promise<string|null>} - Path to the backup file, or null if a matching backup already existed
  */
-export async function createBackup(filePath) {
-  const backupPath = `${filePath}.backup`;
-  await fs.copyFile(filePath, backupPath);
+export async function createBackup(filePath, backupDir = null, { isProtected = false } = {}) {
+  const backupPath = getBackupPath(filePath, backupDir);
+  const dir = path.dirname(backupPath);
+  
+  // Ensure directory exists
+  if (!existsSync(dir)) {
+    await fs.mkdir(dir, { recursive: true });
+  }
+  
+  try {
+    await fs.copyFile(filePath, backupPath, fsConstants.COPYFILE_EXCL);
+    return backupPath;
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+  }
+  
+  const [backup, current] = await Promise.all([fs.readFile(backupPath), fs.readFile(filePath)]);
+  if (backup.equals(current)) {
+    return null;
+  }
+  if (isProtected) {
+    throw new Error(`A different backup already exists: ${backupPath}. Restore the file or delete the backup first.`);
+  }
+  
+  // The file was edited since the last run, the backup now holds an outdated original
+  await writeFile(backupPath, current);
   return backupPath;
 }
 
@@ -32,12 +108,23 @@ export async function readFile(filePath) {
 }
 
 /**
- * Write to a file
+ * Gets a temporary path next to a file, on the same file system so it can be renamed over it
  * @param {string} filePath - Path to the file
+ * @returns {string} - Hidden temporary file path
+ */
+function getTempPath(filePath) {
+  const suffix = `${process.pid}.${crypto.randomBytes(4).toString('hex')}`;
+  return path.join(path.dirname(filePath), `.${path.basename(filePath)}.${suffix}.tmp`);
+}
+
+/**
+ * Writes content to a temporary file next to its destination
+ * The temporary file gets the mode of an existing destination, so executable scripts stay executable
+ * @param {string} filePath - Destination path
  * @param {string|Buffer} content - Content to write (string or Buffer)
- * @returns {Promise<void>}
+ * @returns {Promise<{tempPath: string, targetPath: string}>} - Temporary file and the path to rename it to
  */
-export async function writeFile(filePath, content) {
+async function writeTempFile(filePath, content) {
   const dir = path.dirname(filePath);
   
   // Ensure directory exists
@@ -45,11 +132,211 @@ export async function writeFile(filePath, content) {
     await fs.mkdir(dir, { recursive: true });
   }
   
-  // If content is a string and not a Buffer, use utf-8 encoding
-  if (!(content instanceof Buffer)) {
-    return fs.writeFile(filePath, content, 'utf-8');
+  // Write through symlinks instead of replacing them
+  const targetPath = await fs.realpath(filePath).catch(() => filePath);
+  const tempPath = getTempPath(targetPath);
+  
+  try {
+    // If content is a string and not a Buffer, use utf-8 encoding
+    await fs.writeFile(tempPath, content, content instanceof Buffer ? undefined : 'utf-8');
+    
+    const stats = await fs.stat(targetPath).catch(() => null);
+    if (stats) {
+      await fs.chmod(tempPath, stats.mode);
+    }
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+  
+  return { tempPath, targetPath };
+}
+
+/**
+ * Write to a file through a temporary file and a rename, so the file never has partial content
+ * @param {string} filePath - Path to the file
+ * @param {string|Buffer} content - Content to write (string or Buffer)
+ * @returns {Promise<void>}
+ */
+export async function writeFile(filePath, content) {
+  const { tempPath, targetPath } = await writeTempFile(filePath, content);
+  
+  try {
+    await fs.rename(tempPath, targetPath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Keeps the current contents of a file next to it, so a rename over the file can be undone
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string|null>} - Path of the kept contents, or null if the file does not exist
+ */
+async function keepPreviousFile(filePath) {
+  if (!existsSync(filePath)) {
+    return null;
+  }
+  
+  const previousPath = getTempPath(filePath);
+  try {
+    await fs.link(filePath, previousPath);
+  } catch (error) {
+    // File systems without hard links get a copy
+    try {
+      await fs.copyFile(filePath, previousPath);
+    } catch (copyError) {
+      await fs.rm(previousPath, { force: true });
+      throw copyError;
+    }
+  }
+  return previousPath;
+}
+
+/**
+ * Puts back the files a commit already moved into place, in reverse order
+ * @param {Array<{targetPath: string, previousPath: string|null}>} files - Renamed files
+ * @returns {Promise<Array<{targetPath: string, previousPath: string|null}>>} - Files that could not be restored
+ */
+async function restorePreviousFiles(files) {
+  const failed = [];
+  for (const { targetPath, previousPath } of [...files].reverse()) {
+    try {
+      if (previousPath) {
+        await fs.rename(previousPath, targetPath);
+      } else {
+        await fs.rm(targetPath, { force: true });
+      }
+    } catch (error) {
+      failed.push({ targetPath, previousPath });
+    }
   }
+  return failed;
+}
+
+/**
+ * Creates a staging area for files that are moved into place together
+ * Files are written next to their destination and only renamed over it on commit
+ * @returns {{write: Function, commit: Function, discard: Function}} - Staging area
+ */
+export function createStaging() {
+  let staged = [];
   
-  // Otherwise write the buffer directly
-  return fs.writeFile(filePath, content);
-} 
\ No newline at end of file
+  return {
+    /**
+     * Stages a file
+     * @param {string} filePath - Destination path
+     * @param {string|Buffer} content - Content to write (string or Buffer)
+     * @returns {Promise<void>}
+     */
+    async write(filePath, content) {
+      staged.push(await writeTempFile(filePath, content));
+    },
+    
+    /**
+     * Moves every staged file into place
+     * If a rename fails, the files already moved get their previous contents back
+     * @returns {Promise<void>}
+     * @throws {Error} - If a file could not be moved into place, naming any file that could not be restored
+     */
+    async commit() {
+      const files = staged.map(file => ({ ...file, previousPath: null }));
+      staged = [];
+      const renamed = [];
+      let unrestored = [];
+      
+      try {
+        // Previous contents are kept until every file is in place
+        for (const file of files) {
+          file.previousPath = await keepPreviousFile(file.targetPath);
+        }
+        
+        for (const file of files) {
+          await fs.rename(file.tempPath, file.targetPath);
+          renamed.push(file);
+        }
+      } catch (error) {
+        unrestored = await restorePreviousFiles(renamed);
+        const restored = unrestored.length === 0
+          ? 'No file was changed.'
+          : `These files could not be restored: ${unrestored
+            .map(({ targetPath, previousPath }) => previousPath ? `${targetPath} (previous contents in ${previousPath})` : targetPath)
+            .join(', ')}`;
+        throw new Error(`Failed to move the outputs into place: ${error.message}. ${restored}`, { cause: error });
+      } finally {
+        // Leftover temporary files and kept contents are removed, except the contents that could not be put back
+        const leftovers = files
+          .flatMap(({ tempPath, previousPath }) => [tempPath, previousPath])
+          .filter(filePath => filePath && !unrestored.some(({ previousPath }) => previousPath === filePath));
+        await Promise.all(leftovers.map(filePath => fs.rm(filePath, { force: true })));
+      }
+    },
+    
+    /**
+     * Removes every staged file, leaving the destinations as they are
+     * @returns {Promise<void>}
+     */
+    async discard() {
+      const files = staged;
+      staged = [];
+      await Promise.all(files.map(({ tempPath }) => fs.rm(tempPath, { force: true })));
+    }
+  };
+}
+
+/**
+ * Gets the static directory of a glob pattern, before its first magic segment
+ * @param {string} pattern - Glob pattern
+ * @returns {string} - Base directory of the pattern
+ */
+export function getGlobBase(pattern) {
+  const segments = pattern.split('/');
+  const staticSegments = [];
+  
+  for (const segment of segments) {
+    if (hasMagic(segment, { magicalBraces: true })) {
+      break;
+    }
+    staticSegments.push(segment);
+  }
+  
+  // A pattern without magic is a plain file path
+  if (staticSegments.length === segments.length) {
+    staticSegments.pop();
+  }
+  
+  const base = staticSegments.join('/');
+  if (base === '' && pattern.startsWith('/')) {
+    return '/';
+  }
+  return path.normalize(base || '.');
+}
+
+/**
+ * Gets the deepest directory that contains all the given directories
+ * @param {string[]} directories - Directory paths
+ * @returns {string} - Common ancestor directory (absolute)
+ */
+export function getCommonDirectory(directories) {
+  const [first, ...rest] = directories.map(dir => path.resolve(dir));
+  let common = first;
+  
+  for (const dir of rest) {
+    while (common !== dir && !dir.startsWith(common.endsWith(path.sep) ? common : `${common}${path.sep}`)) {
+      common = path.dirname(common);
+    }
+  }
+  
+  return common;
+}
+
+/**
+ * Formats a path for messages: relative to the working directory when inside it, absolute otherwise
+ * @param {string} filePath - File path
+ * @returns {string} - Path to display
+ */
+export function getDisplayPath(filePath) {
+  const relativePath = path.relative(process.cwd(), path.resolve(filePath));
+  return relativePath.startsWith('..') || path.isAbsolute(relativePath) ? path.resolve(filePath) : relativePath;
+}
@@ -0,0 +1,122 @@
+import path from 'path';
+import { minimatch } from 'minimatch';
+import { fileExists, readFile } from './files.js';
+
+// Ignore file read from the working directory
+export const IGNORE_FILE = '.shieldignore';
+
+/**
+ * Parses a single pattern with .gitignore syntax
+ * @param {string} line - Pattern as written
+ * @param {string} source - Where the pattern comes from, for messages
+ * @returns {Object|null} - Rule, or null for blank lines and comments
+ */
+function parseRule(line, source) {
+  let pattern = line.replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) {
+    return null;
+  }
+
+  const negate = pattern.startsWith('!');
+  if (negate) {
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1);
+  }
+
+  // A trailing slash only matches directories
+  const directoryOnly = pattern.endsWith('/');
+  pattern = pattern.replace(/\/+$/, '');
+
+  // Patterns with a slash are relative to the working directory, others match at any depth
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+
+  if (!pattern) {
+    return null;
+  }
+
+  return { text: line.trim(), source, negate, directoryOnly, anchored, pattern };
+}
+
+/**
+ * Checks if a rule matches a path relative to the working directory
+ * @param {Object} rule - Rule from parseRule()
+ * @param {string} relativePath - Path with forward slashes
+ * @returns {boolean} - True if the rule matches
+ */
+function matchesRule(rule, relativePath) {
+  const subject = rule.anchored ? relativePath : path.posix.basename(relativePath);
+  return minimatch(subject, rule.pattern, { dot: true });
+}
+
+/**
+ * Collects the exclusion rules of a run
+ * Rules are applied in order: .shieldignore, then the config file, then the command line
+ * @param {Object} sources - Rule sources
+ * @param {string[]} [sources.exclude] - Patterns from the exclude array of the config file
+ * @param {string[]} [sources.ignore] - Patterns from --ignore
+ * @param {string} [sources.ignoreFile] - Path of the ignore file (default: .shieldignore)
+ * @returns {Promise<Object[]>} - Exclusion rules
+ */
+export async function loadIgnoreRules({ exclude = [], ignore = [], ignoreFile = IGNORE_FILE } = {}) {
+  const rules = [];
+
+  if (fileExists(ignoreFile)) {
+    const lines = (await readFile(ignoreFile)).split(/\r?\n/);
+    lines.forEach((line, index) => {
+      rules.push(parseRule(line, `${path.basename(ignoreFile)}:${index + 1}`));
+    });
+  }
+
+  exclude.forEach(pattern => rules.push(parseRule(pattern, 'config exclude')));
+  ignore.forEach(pattern => rules.push(parseRule(pattern, '--ignore')));
+
+  return rules.filter(Boolean);
+}
+
+/**
+ * Finds the rule that excludes a file, following .gitignore semantics: the last
+ * matching rule wins, and files inside an excluded directory cannot be re-included
+ * @param {string} file - File path
+ * @param {Object[]} rules - Rules from loadIgnoreRules()
+ * @returns {Object|null} - Excluding rule, or null if the file is included
+ */
+export function findExcludingRule(file, rules) {
+  if (rules.length === 0) {
+    return null;
+  }
+
+  const segments = path.relative(process.cwd(), path.resolve(file)).split(path.sep);
+
+  // Files outside the working directory are matched from their first real directory
+  const firstSegment = segments.findIndex(segment => segment !== '..');
+
+  const lastMatch = (relativePath, isDirectory) => {
+    let match = null;
+    for (const rule of rules) {
+      if ((isDirectory || !rule.directoryOnly) && matchesRule(rule, relativePath)) {
+        match = rule;
+      }
+    }
+    return match && !match.negate ? match : null;
+  };
+
+  for (let i = firstSegment + 1; i < segments.length; i++) {
+    const rule = lastMatch(segments.slice(0, i).join('/'), true);
+    if (rule) {
+      return rule;
+    }
+  }
+
+  return lastMatch(segments.join('/'), false);
+}
+
+/**
+ * Formats a rule for messages
+ * @param {Object} rule - Rule from loadIgnoreRules()
+ * @returns {string} - Rule and where it comes from
+ */
+export function describeRule(rule) {
+  return `${rule.text} (${rule.source})`;
+}
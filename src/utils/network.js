@@ -0,0 +1,425 @@
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import tls from 'tls';
+import { readFileSync } from 'fs';
+
+// Default ByteHide Shield API endpoint
+export const DEFAULT_API_URL = 'https://shield.microservice.bytehide.com';
+
+// Default retry policy for transient API errors
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 1000;
+
+// Default time limit for a single API request, in milliseconds
+const DEFAULT_TIMEOUT = 300000;
+
+/**
+ * Parses a non-negative integer setting
+ * @param {string|number} value - Raw value
+ * @param {string} name - Setting name for error messages
+ * @returns {number} - Parsed value
+ */
+function parseNonNegativeInteger(value, name) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new Error(`${name} must be a non-negative integer, got: ${value}`);
+  }
+  return parsed;
+}
+
+/**
+ * Picks the first defined value from a list of candidates
+ * @param {...*} values - Candidate values in priority order
+ * @returns {*} - First value that is neither undefined nor null
+ */
+function firstDefined(...values) {
+  return values.find(value => value !== undefined && value !== null);
+}
+
+/**
+ * Parses and validates an API endpoint URL
+ * @param {string} apiUrl - Endpoint URL
+ * @returns {URL} - Parsed URL
+ */
+function parseApiUrl(apiUrl) {
+  let url;
+  try {
+    url = new URL(apiUrl);
+  } catch (error) {
+    throw new Error(`Invalid API URL: ${apiUrl}`);
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error(`Invalid API URL: ${apiUrl}. Only http:// and https:// are supported.`);
+  }
+
+  return url;
+}
+
+/**
+ * Checks if a host is excluded from proxying by NO_PROXY
+ * @param {string} hostname - Target host name
+ * @param {string|number} port - Target port
+ * @returns {boolean} - True if the proxy should be bypassed
+ */
+function isProxyBypassed(hostname, port) {
+  const noProxy = process.env.NO_PROXY || process.env.no_proxy;
+  if (!noProxy) {
+    return false;
+  }
+
+  const host = hostname.toLowerCase();
+
+  return noProxy.split(/[\s,]+/).filter(Boolean).some(entry => {
+    if (entry === '*') {
+      return true;
+    }
+
+    const [entryHost, entryPort] = entry.toLowerCase().split(':');
+    if (entryPort && String(port) !== entryPort) {
+      return false;
+    }
+
+    const suffix = entryHost.replace(/^\*?\./, '');
+    return host === suffix || host.endsWith(`.${suffix}`);
+  });
+}
+
+/**
+ * Gets the proxy URL from the standard environment variables
+ * @param {URL} target - Target URL
+ * @returns {string|null} - Proxy URL or null if none applies
+ */
+function getProxyFromEnv(target) {
+  if (isProxyBypassed(target.hostname, target.port || (target.protocol === 'https:' ? 443 : 80))) {
+    return null;
+  }
+
+  if (target.protocol === 'https:') {
+    return process.env.HTTPS_PROXY || process.env.https_proxy || process.env.HTTP_PROXY || process.env.http_proxy || null;
+  }
+
+  return process.env.HTTP_PROXY || process.env.http_proxy || null;
+}
+
+/**
+ * Resolves the network settings used to reach the ByteHide Shield API
+ * @param {Object} [options] - Explicit settings (e.g. from CLI flags)
+ * @param {string} [options.apiUrl] - API endpoint URL
+ * @param {string} [options.proxy] - Proxy URL
+ * @param {string} [options.caFile] - Path to a PEM CA bundle
+ * @param {string|Buffer} [options.ca] - CA bundle contents
+ * @param {string|number} [options.retries] - Retries for transient errors
+ * @param {string|number} [options.retryDelay] - Base retry delay in milliseconds
+ * @param {string|number} [options.timeout] - Request timeout in milliseconds (0 disables it)
+ * @param {Object} [config] - Configuration object
+ * @returns {Object} - Network settings with apiUrl, proxy, ca, retries, retryDelay and timeout
+ */
+export function resolveNetworkOptions(options = {}, config = {}) {
+  // Priority: explicit option > environment variable > config file > default
+  const apiUrl = options.apiUrl
+    || process.env.BYTEHIDE_SHIELD_API_URL
+    || config.apiUrl
+    || DEFAULT_API_URL;
+
+  const target = parseApiUrl(apiUrl);
+
+  // Explicit proxies win over the ambient HTTPS_PROXY/HTTP_PROXY variables
+  const proxy = options.proxy || config.proxy || getProxyFromEnv(target);
+
+  let ca = options.ca || null;
+  const caFile = options.caFile || process.env.BYTEHIDE_SHIELD_CA_FILE || config.caFile;
+  if (!ca && caFile) {
+    try {
+      ca = readFileSync(caFile);
+    } catch (error) {
+      throw new Error(`Failed to read CA bundle: ${caFile}`);
+    }
+  }
+
+  const retries = parseNonNegativeInteger(
+    firstDefined(options.retries, config.retries, DEFAULT_RETRIES),
+    'Retries'
+  );
+  const retryDelay = parseNonNegativeInteger(
+    firstDefined(options.retryDelay, config.retryDelay, DEFAULT_RETRY_DELAY),
+    'Retry delay'
+  );
+  const timeout = parseNonNegativeInteger(
+    firstDefined(options.timeout, config.timeout, DEFAULT_TIMEOUT),
+    'Timeout'
+  );
+
+  return {
+    apiUrl: target.href.replace(/\/$/, ''),
+    proxy: proxy || null,
+    ca,
+    retries,
+    retryDelay,
+    timeout
+  };
+}
+
+/**
+ * Gets the options to reach a proxy, over TLS for https:// proxies
+ * @param {URL} proxyUrl - Proxy URL
+ * @param {string|Buffer|null} ca - CA bundle contents
+ * @returns {Object} - Transport module and connection options
+ */
+function getProxyConnection(proxyUrl, ca) {
+  const isHttps = proxyUrl.protocol === 'https:';
+  const options = {
+    hostname: proxyUrl.hostname,
+    port: proxyUrl.port || (isHttps ? 443 : 80)
+  };
+
+  if (isHttps) {
+    // The certificate is checked against the proxy, not the Host header of the request
+    options.servername = net.isIP(proxyUrl.hostname) ? '' : proxyUrl.hostname;
+    if (ca) {
+      options.ca = ca;
+    }
+  }
+
+  return { transport: isHttps ? https : http, options };
+}
+
+/**
+ * Creates the error used when a request takes longer than the timeout
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Error} - Error with code ETIMEDOUT
+ */
+function createTimeoutError(timeout) {
+  const error = new Error(`Request timed out after ${timeout}ms.`);
+  error.code = 'ETIMEDOUT';
+  return error;
+}
+
+/**
+ * Opens a tunnel through an HTTP proxy using CONNECT
+ * @param {URL} proxyUrl - Proxy URL
+ * @param {URL} target - Target URL
+ * @param {Object} network - Network settings with ca and timeout
+ * @param {AbortSignal} [signal] - Signal to cancel the tunnel
+ * @returns {Promise<import('net').Socket>} - Connected socket
+ */
+function openProxyTunnel(proxyUrl, target, network, signal = null) {
+  return new Promise((resolve, reject) => {
+    const port = target.port || 443;
+    const headers = { Host: `${target.hostname}:${port}` };
+
+    if (proxyUrl.username) {
+      const credentials = `${decodeURIComponent(proxyUrl.username)}:${decodeURIComponent(proxyUrl.password)}`;
+      headers['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const { transport, options } = getProxyConnection(proxyUrl, network.ca);
+    const req = transport.request({
+      ...options,
+      method: 'CONNECT',
+      path: `${target.hostname}:${port}`,
+      headers
+    });
+
+    let timer = null;
+
+    const onAbort = () => {
+      req.destroy(createAbortError());
+    };
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
+
+    req.on('connect', (res, socket) => {
+      cleanup();
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        return reject(new Error(`Proxy error: tunnel to ${target.host} refused with status ${res.statusCode}.`));
+      }
+      resolve(socket);
+    });
+
+    req.on('error', (error) => {
+      cleanup();
+      // Timeouts and cancellations are reported like those of the request itself
+      if (isAbortError(error) || error.code === 'ETIMEDOUT') {
+        return reject(error);
+      }
+      const proxyError = new Error(`Proxy error: could not reach proxy ${proxyUrl.host}: ${error.message}`, { cause: error });
+      proxyError.code = error.code;
+      reject(proxyError);
+    });
+
+    if (network.timeout) {
+      timer = setTimeout(() => {
+        req.destroy(createTimeoutError(network.timeout));
+      }, network.timeout);
+    }
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+
+    req.end();
+  });
+}
+
+/**
+ * Builds the request options for a call to the API
+ * @param {string} apiPath - Path relative to the API endpoint
+ * @param {Object} network - Network settings from resolveNetworkOptions
+ * @param {Object} requestOptions - Method and headers
+ * @param {AbortSignal} [signal] - Signal to cancel opening a proxy tunnel
+ * @returns {Promise<Object>} - Transport module and request options
+ */
+async function buildRequest(apiPath, network, requestOptions, signal = null) {
+  const base = parseApiUrl(network.apiUrl || DEFAULT_API_URL);
+  const target = new URL(`${base.pathname.replace(/\/$/, '')}${apiPath}`, base);
+  const isHttps = target.protocol === 'https:';
+  const transport = isHttps ? https : http;
+
+  const options = {
+    hostname: target.hostname,
+    port: target.port || (isHttps ? 443 : 80),
+    path: `${target.pathname}${target.search}`,
+    ...requestOptions
+  };
+
+  if (isHttps && network.ca) {
+    options.ca = network.ca;
+  }
+
+  if (!network.proxy) {
+    return { transport, options };
+  }
+
+  const proxyUrl = parseApiUrl(network.proxy);
+
+  if (!isHttps) {
+    // Plain HTTP goes through the proxy as an absolute-form request, over TLS to https:// proxies
+    const proxy = getProxyConnection(proxyUrl, network.ca);
+    Object.assign(options, proxy.options);
+    options.path = target.href;
+    options.headers = { ...options.headers, Host: target.host };
+    if (proxyUrl.username) {
+      const credentials = `${decodeURIComponent(proxyUrl.username)}:${decodeURIComponent(proxyUrl.password)}`;
+      options.headers['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+    return { transport: proxy.transport, options };
+  }
+
+  const socket = await openProxyTunnel(proxyUrl, target, network, signal);
+  options.agent = false;
+  options.createConnection = () => tls.connect({
+    socket,
+    servername: target.hostname,
+    ca: network.ca || undefined
+  });
+
+  return { transport, options };
+}
+
+/**
+ * Creates the error used when an operation is cancelled through an AbortSignal
+ * @returns {Error} - Error with name AbortError
+ */
+export function createAbortError() {
+  const error = new Error('Protection aborted.');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Checks if an error was caused by an AbortSignal
+ * @param {Error} error - Error to check
+ * @returns {boolean} - True if the operation was aborted
+ */
+export function isAbortError(error) {
+  return Boolean(error) && error.name === 'AbortError';
+}
+
+/**
+ * Sends a JSON POST request to the ByteHide Shield API
+ * @param {string} apiPath - Path relative to the API endpoint
+ * @param {string} payload - Serialized JSON payload
+ * @param {Object} [network] - Network settings from resolveNetworkOptions
+ * @param {AbortSignal} [signal] - Signal to cancel the request
+ * @returns {Promise<Object>} - Response with statusCode, headers and body
+ */
+export async function postJSON(apiPath, payload, network = {}, signal = null) {
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+
+  const { transport, options } = await buildRequest(apiPath, network, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(payload, 'utf8')
+    }
+  }, signal);
+
+  return new Promise((resolve, reject) => {
+    let timer = null;
+
+    const onAbort = () => {
+      req.destroy(createAbortError());
+    };
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
+
+    const req = transport.request(options, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        cleanup();
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
+      });
+
+      res.on('error', (error) => {
+        cleanup();
+        reject(error);
+      });
+    });
+
+    req.on('error', (error) => {
+      cleanup();
+      reject(error);
+    });
+
+    if (network.timeout) {
+      timer = setTimeout(() => {
+        req.destroy(createTimeoutError(network.timeout));
+      }, network.timeout);
+    }
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+
+    req.write(payload, 'utf8');
+    req.end();
+  });
+}
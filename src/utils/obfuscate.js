@@ -1,7 +1,14 @@
-import https from 'https';
 import crypto from 'crypto';
 import path from 'path';
 import { readFile, writeFile } from './files.js';
+import fs from 'fs/promises';
+import { postJSON, createAbortError, isAbortError } from './network.js';
+import { getObfuscationConfig } from './config.js';
+import { getCacheKey, readCacheEntry, writeCacheEntry } from './cache.js';
+import { findInputSourceMap, composeSourceMaps, removeSourceMappingURL, setSourceMappingURL, toDataUrl, prependLines } from './sourcemap.js';
+import { AlreadyProtectedError, TokenError } from './errors.js';
+import { extractPreamble, getPreserveOptions, getHeaderLines } from './preamble.js';
+import { verifyFileSyntax, verifySyntax } from './verify.js';
 
 /**
  * Generates a unique random ID
@@ -20,6 +27,43 @@ function generateWatermark() {
   return `// _0xBHSHLD_${uniqueId}_marker`;
 }
 
+// Default watermark line, recognized even when a custom watermark is configured
+const WATERMARK_PATTERN = /^\/\/ _0xBHSHLD_[a-f0-9]{8}_marker$/;
+
+/**
+ * Gets the watermark line of a protected file
+ * @param {boolean|string} watermark - false for none, a string for a custom comment, true for the default marker
+ * @returns {string|null} - Comment line, or null without a watermark
+ */
+function getWatermarkLine(watermark) {
+  if (watermark === false) {
+    return null;
+  }
+  if (typeof watermark === 'string') {
+    return `// ${watermark.replace(/\s+/g, ' ').trim()}`;
+  }
+  return generateWatermark();
+}
+
+/**
+ * Adds header lines before the protected code, keeping its source map in line
+ * @param {Object} result - Obfuscation result with output, sourceMap and symbols
+ * @param {string[]} lines - Lines to add, such as the shebang and the watermark
+ * @returns {Object} - Result with the header
+ */
+function addHeader(result, lines) {
+  if (lines.length === 0) {
+    return result;
+  }
+
+  const header = lines.join('\n');
+  return {
+    ...result,
+    output: `${header}\n${result.output}`,
+    sourceMap: result.sourceMap ? prependLines(result.sourceMap, header.split('\n').length) : result.sourceMap
+  };
+}
+
 /**
  * Get a friendly error message based on the HTTP status code
  * @param {number} statusCode - HTTP response code
@@ -45,150 +89,265 @@ function getFriendlyErrorMessage(statusCode) {
   }
 }
 
+// HTTP status codes that indicate a transient error worth retrying
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+
+// HTTP status codes that mean the project token was rejected
+const TOKEN_REJECTED_STATUS_CODES = [401, 403, 404];
+
 /**
- * Validates a ByteHide Shield project token
- * @param {string} token - ByteHide Shield project token
- * @returns {Promise<boolean>} - True if token is valid
+ * Waits for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Signal that cancels the wait
+ * @returns {Promise<void>}
  */
-export function validateToken(token) {
+function sleep(ms, signal = null) {
   return new Promise((resolve, reject) => {
-    const payload = JSON.stringify({
-      code: '',
-      config: {}
-    });
-    const options = {
-      hostname: 'shield.microservice.bytehide.com',
-      port: 443,
-      path: `/api/start/${token}/js`,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json; charset=utf-8',
-        'Content-Length': Buffer.byteLength(payload, 'utf8')
-      }
+    if (signal && signal.aborted) {
+      return reject(createAbortError());
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
     };
 
-    const req = https.request(options, (res) => {
-      let data = '';
-
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          resolve(true);
-        } else {
-            console.log(data);
-          const friendlyMessage = getFriendlyErrorMessage(res.statusCode);
-          reject(new Error(friendlyMessage));
-        }
-      });
-    });
-
-    req.on('error', () => {
-      reject(new Error('Connection error: Check your internet connection and try again.'));
-    });
-
-    req.write(payload, 'utf8');
-    req.end();
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
   });
 }
 
+/**
+ * Gets the exponential backoff delay with jitter for a retry
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @param {number} baseDelay - Base delay in milliseconds
+ * @returns {number} - Delay in milliseconds
+ */
+function getBackoffDelay(attempt, baseDelay) {
+  const delay = baseDelay * 2 ** (attempt - 1);
+  // Randomize between 50% and 100% of the delay to spread out concurrent retries
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Parses a Retry-After header value
+ * @param {string|undefined} header - Header value in seconds or as an HTTP date
+ * @returns {number|null} - Delay in milliseconds or null if absent or invalid
+ */
+function parseRetryAfter(header) {
+  if (!header) {
+    return null;
+  }
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Gets the longest Retry-After delay a retry waits for: the longest backoff of the retry
+ * policy, or the request timeout if it is longer
+ * @param {number} maxAttempts - Attempts allowed
+ * @param {number} retryDelay - Base retry delay in milliseconds
+ * @param {number} timeout - Request timeout in milliseconds, 0 if disabled
+ * @returns {number} - Delay limit in milliseconds
+ */
+function getMaxRetryAfter(maxAttempts, retryDelay, timeout) {
+  return Math.max(retryDelay * 2 ** maxAttempts, timeout || 0);
+}
+
+/**
+ * Describes a failed request, keeping the socket, proxy or TLS error it failed with
+ * @param {Error} error - Error thrown by the request
+ * @returns {string} - Error message
+ */
+function getConnectionErrorMessage(error) {
+  if (error.code === 'ETIMEDOUT' || error.message.startsWith('Proxy error:')) {
+    return error.message;
+  }
+  const code = error.code && !error.message.includes(error.code) ? ` (${error.code})` : '';
+  return `Connection error: ${error.message}${code}. Check your internet connection and try again.`;
+}
+
+/**
+ * Appends the number of attempts to an error message when retries are enabled
+ * @param {string} message - Error message
+ * @param {number} attempts - Attempts made
+ * @param {number} maxAttempts - Attempts allowed
+ * @returns {string} - Error message
+ */
+function withAttempts(message, attempts, maxAttempts) {
+  if (maxAttempts <= 1) {
+    return message;
+  }
+  return `${message} (${attempts} ${attempts === 1 ? 'attempt' : 'attempts'})`;
+}
+
+/**
+ * Sends a request to the API, retrying socket errors and transient statuses with backoff
+ * @param {string} apiPath - Path relative to the API endpoint
+ * @param {string} payload - Serialized JSON payload
+ * @param {Object} network - Network settings with retries, retryDelay and timeout
+ * @param {AbortSignal} [signal] - Signal that cancels the request and pending retries
+ * @returns {Promise<Object>} - Last response and the attempts made
+ */
+async function postWithRetry(apiPath, payload, network, signal = null) {
+  const maxAttempts = (network.retries || 0) + 1;
+  const retryDelay = network.retryDelay || 0;
+
+  for (let attempt = 1; ; attempt++) {
+    let res;
+    try {
+      res = await postJSON(apiPath, payload, network, signal);
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      if (attempt >= maxAttempts) {
+        const connectionError = new Error(withAttempts(getConnectionErrorMessage(error), attempt, maxAttempts), { cause: error });
+        connectionError.code = error.code;
+        throw connectionError;
+      }
+      await sleep(getBackoffDelay(attempt, retryDelay), signal);
+      continue;
+    }
+
+    if (!RETRYABLE_STATUS_CODES.includes(res.statusCode) || attempt >= maxAttempts) {
+      return { res, attempts: attempt, maxAttempts };
+    }
+
+    // A server asking for a longer wait than the retry policy allows fails now instead of stalling the run
+    const retryAfter = parseRetryAfter(res.headers['retry-after']);
+    const maxRetryAfter = getMaxRetryAfter(maxAttempts, retryDelay, network.timeout);
+    if (retryAfter !== null && retryAfter > maxRetryAfter) {
+      throw new Error(withAttempts(
+        `Server busy (HTTP ${res.statusCode}): it asked to retry after ${Math.ceil(retryAfter / 1000)}s, longer than the ${Math.ceil(maxRetryAfter / 1000)}s limit. Try again later.`,
+        attempt,
+        maxAttempts
+      ));
+    }
+    await sleep(retryAfter !== null ? retryAfter : getBackoffDelay(attempt, retryDelay), signal);
+  }
+}
+
+/**
+ * Validates a ByteHide Shield project token
+ * @param {string} token - ByteHide Shield project token
+ * @param {Object} [network] - Network settings (API endpoint, proxy, CA bundle, retry policy, timeout)
+ * @returns {Promise<boolean>} - True if token is valid
+ * @throws {TokenError} - If the API rejected the token; other errors mean it could not be checked
+ */
+export async function validateToken(token, network = {}) {
+  const payload = JSON.stringify({
+    code: '',
+    config: {}
+  });
+
+  const { res, attempts, maxAttempts } = await postWithRetry(`/api/start/${token}/js`, payload, network);
+
+  if (TOKEN_REJECTED_STATUS_CODES.includes(res.statusCode)) {
+    throw new TokenError(getFriendlyErrorMessage(res.statusCode));
+  }
+  if (res.statusCode !== 200) {
+    throw new Error(withAttempts(getFriendlyErrorMessage(res.statusCode), attempts, maxAttempts));
+  }
+
+  return true;
+}
+
 /**
  * Calls the ByteHide Shield API to obfuscate code
  * @param {string} code - Code to obfuscate
  * @param {string} token - ByteHide Shield project token
  * @param {object} config - Obfuscation configuration
+ * @param {Object} [network] - Network settings (API endpoint, proxy, CA bundle, retry policy, timeout)
+ * @param {AbortSignal} [signal] - Signal to cancel the request
  * @returns {Promise<Object>} - Obfuscation result with output, sourceMap, and symbols
  */
-function callBytehideShieldAPI(code, token, config) {
-  return new Promise((resolve, reject) => {
-    const obfuscationID = generateRandomID();
-    
-    const payload = JSON.stringify({
-      code,
-      obfuscationID,
-      projectToken: token,
-      config
-    });
-
-    const options = {
-      hostname: 'shield.microservice.bytehide.com',
-      port: 443,
-      path: `/api/start/${token}/js`,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json; charset=utf-8',
-        'Content-Length': Buffer.byteLength(payload, 'utf8')
-      }
-    };
+async function callBytehideShieldAPI(code, token, config, network = {}, signal = null) {
+  const obfuscationID = generateRandomID();
 
-    const req = https.request(options, (res) => {
-      let data = '';
-
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-
-      res.on('end', () => {
-        try {
-          // Handle non-200 status codes
-          if (res.statusCode !== 200) {
-            const friendlyMessage = getFriendlyErrorMessage(res.statusCode);
-            
-            try {
-              const result = JSON.parse(data);
-              if (result.error) {
-                if(result.error === 'Internal Server Error')
-                    return reject(new Error(`Protection error: ${result.message}`));
-                return reject(new Error(`Protection error: ${result.error}`));
-              }
-            } catch (e) {
-              // If we can't parse the response, use the friendly message
-            }
-            
-            return reject(new Error(friendlyMessage));
-          }
-          
-          // Parse successful response
-          const result = JSON.parse(data);
-          
-          if (result.output) {
-            const watermark = generateWatermark();
-            const outputWithWatermark = `${watermark}\n${result.output}`;
-            
-            // Return the complete result with output, sourceMap, and symbols
-            resolve({
-              output: outputWithWatermark,
-              sourceMap: result.sourceMap || null,
-              symbols: result.symbols || null
-            });
-          } else {
-            reject(new Error('No protected code received in response.'));
-          }
-        } catch (e) {
-          reject(new Error(`Error processing response: ${e.message}`));
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      reject(new Error(`Connection error: Check your internet connection and try again.`));
-    });
-
-    req.write(payload, 'utf8');
-    req.end();
+  const payload = JSON.stringify({
+    code,
+    obfuscationID,
+    projectToken: token,
+    config: getObfuscationConfig(config)
   });
+
+  const { res, attempts, maxAttempts } = await postWithRetry(`/api/start/${token}/js`, payload, network, signal);
+
+  // Handle non-200 status codes
+  if (res.statusCode !== 200) {
+    const friendlyMessage = getFriendlyErrorMessage(res.statusCode);
+
+    let result = null;
+    try {
+      result = JSON.parse(res.body);
+    } catch (e) {
+      // If we can't parse the response, use the friendly message
+    }
+
+    if (result && result.error) {
+      if (result.error === 'Internal Server Error') {
+        throw new Error(withAttempts(`Protection error: ${result.message}`, attempts, maxAttempts));
+      }
+      throw new Error(withAttempts(`Protection error: ${result.error}`, attempts, maxAttempts));
+    }
+
+    throw new Error(withAttempts(friendlyMessage, attempts, maxAttempts));
+  }
+
+  // Parse successful response
+  let result;
+  try {
+    result = JSON.parse(res.body);
+  } catch (e) {
+    throw new Error(`Error processing response: ${e.message}`);
+  }
+
+  if (!result.output) {
+    throw new Error('No protected code received in response.');
+  }
+
+  // Return the complete result with output, sourceMap, and symbols
+  return {
+    output: result.output,
+    sourceMap: result.sourceMap || null,
+    symbols: result.symbols || null
+  };
 }
 
 /**
- * Checks if a file is already obfuscated
+ * Checks if a file is already obfuscated from the watermark on its first line,
+ * after the BOM and shebang if it has them
  * @param {string} content - File content
+ * @param {boolean|string} [watermark] - Watermark setting; a custom watermark is recognized as well as the default one
  * @returns {boolean} - True if the file is already obfuscated
  */
-function isAlreadyObfuscated(content) {
-  const watermarkPattern = /\/\/ _0xBHSHLD_[a-f0-9]{8}_marker/;
-  return watermarkPattern.test(content);
+export function isAlreadyObfuscated(content, watermark = true) {
+  const lines = content.replace(/^\uFEFF/, '').split('\n', 2);
+  const firstLine = (lines[0].startsWith('#!') ? lines[1] || '' : lines[0]).trim();
+  
+  if (WATERMARK_PATTERN.test(firstLine)) {
+    return true;
+  }
+  return typeof watermark === 'string' && firstLine === getWatermarkLine(watermark);
 }
 
 /**
@@ -215,6 +374,44 @@ function getSourceMapPath(jsFilePath, customPath = null) {
   return `${jsFilePath}.map`;
 }
 
+/**
+ * Names the source map of a protected result after the file it is written to
+ * @param {string|Object} shieldMap - Source map of the obfuscation result
+ * @param {string} outputPath - Protected file path
+ * @returns {Object} - Map from the protected code to the code that was sent
+ */
+export function getProtectedSourceMap(shieldMap, outputPath) {
+  const map = typeof shieldMap === 'string' ? JSON.parse(shieldMap) : shieldMap;
+  return { ...map, file: path.basename(outputPath) };
+}
+
+/**
+ * Builds the source map of a protected file
+ * When the input has a source map of its own (e.g. from a bundler), both maps are
+ * composed so the result points to the original sources instead of the input
+ * @param {string|Object} shieldMap - Source map returned by the API
+ * @param {string} code - Input code
+ * @param {string} filePath - Input file path
+ * @param {string} outputPath - Protected file path
+ * @param {string} sourceMapPath - Path the source map is written to
+ * @returns {Promise<string>} - Source map JSON
+ */
+async function getOutputSourceMap(shieldMap, code, filePath, outputPath, sourceMapPath) {
+  const outputMap = getProtectedSourceMap(shieldMap, outputPath);
+  
+  const inputSourceMap = await findInputSourceMap(code, filePath);
+  if (!inputSourceMap) {
+    return JSON.stringify(outputMap);
+  }
+  
+  try {
+    return JSON.stringify(composeSourceMaps(outputMap, inputSourceMap.map, inputSourceMap.directory, path.dirname(path.resolve(sourceMapPath))));
+  } catch (error) {
+    // A malformed input map must not fail the protection, the API map is still valid
+    return JSON.stringify(outputMap);
+  }
+}
+
 /**
  * Gets the symbols cache output path from JavaScript file path
  * @param {string} jsFilePath - JavaScript file path
@@ -228,6 +425,90 @@ function getSymbolsPath(jsFilePath, customPath = null) {
   return `${jsFilePath}.symbols.json`;
 }
 
+/**
+ * Writes a set of output files, removing the ones already written if any write fails
+ * @param {Array<[string, string|Buffer]>} outputs - Output paths and contents
+ * @param {string} sourcePath - Source file path, never removed
+ * @param {Function} [onWrite] - Called with the previous contents of each output path before writing
+ * @param {Object} [staging] - Staging area from createStaging() to write to instead of the output paths
+ * @returns {Promise<void>}
+ */
+async function writeOutputs(outputs, sourcePath, onWrite = null, staging = null) {
+  const written = [];
+  
+  if (onWrite) {
+    const previous = await Promise.all(outputs.map(([outputPath]) => fs.readFile(outputPath).catch(() => null)));
+    onWrite(outputs.map(([outputPath], index) => ({ path: outputPath, previous: previous[index] })));
+  }
+  
+  try {
+    for (const [outputPath, content] of outputs) {
+      written.push(outputPath);
+      await (staging ? staging.write(outputPath, content) : writeFile(outputPath, content));
+    }
+  } catch (error) {
+    // Staged files are discarded with the rest of the batch, the output paths were not touched
+    if (staging) {
+      throw error;
+    }
+    const sourceFullPath = path.resolve(sourcePath);
+    await Promise.all(written
+      .filter(outputPath => path.resolve(outputPath) !== sourceFullPath)
+      .map(outputPath => fs.rm(outputPath, { force: true })));
+    throw error;
+  }
+}
+
+/**
+ * Prepares the protected code and the files written next to it (source map, symbols cache)
+ * @param {Object} obfuscationResult - Result with output, sourceMap and symbols
+ * @param {Object} options - Output options
+ * @param {string} options.code - Input code, searched for an input source map
+ * @param {string} options.filePath - Input file path
+ * @param {string} options.outputPath - Protected file path, source map URLs are relative to it
+ * @param {boolean} [options.generateSourceMap] - Whether to write a source map file
+ * @param {boolean} [options.inlineSourceMap] - Embed the source map in the code instead
+ * @param {boolean} [options.saveSymbols] - Whether to write the symbols cache
+ * @param {string} [options.sourceMapPath] - Custom path for source map file
+ * @param {string} [options.symbolsPath] - Custom path for symbols cache file
+ * @returns {Promise<{output: string, files: Array<[string, string]>}>} - Protected code and the other files to write
+ */
+export async function buildOutputs(obfuscationResult, {
+  code,
+  filePath,
+  outputPath,
+  generateSourceMap = false,
+  inlineSourceMap = false,
+  saveSymbols = false,
+  sourceMapPath = null,
+  symbolsPath = null
+}) {
+  const files = [];
+  let output = obfuscationResult.output;
+  
+  // Generate source map if needed
+  if ((generateSourceMap || inlineSourceMap) && obfuscationResult.sourceMap) {
+    const sourceMapFilePath = getSourceMapPath(outputPath, sourceMapPath);
+    const sourceMap = await getOutputSourceMap(obfuscationResult.sourceMap, code, filePath, outputPath, sourceMapFilePath);
+    
+    if (inlineSourceMap) {
+      output = setSourceMappingURL(output, toDataUrl(sourceMap));
+    } else {
+      const sourceMapUrl = path.relative(path.dirname(path.resolve(outputPath)), path.resolve(sourceMapFilePath)).split(path.sep).join('/');
+      output = setSourceMappingURL(output, encodeURI(sourceMapUrl));
+      files.push([sourceMapFilePath, sourceMap]);
+    }
+  }
+  
+  // Save symbols cache if needed
+  if (saveSymbols && obfuscationResult.symbols) {
+    const symbolsFilePath = getSymbolsPath(outputPath, symbolsPath);
+    files.push([symbolsFilePath, JSON.stringify(obfuscationResult.symbols, null, 2)]);
+  }
+  
+  return { output, files };
+}
+
 /**
  * Obfuscates a JavaScript file
  * @param {Object} options - Obfuscation options
@@ -237,9 +518,21 @@ function getSymbolsPath(jsFilePath, customPath = null) {
  * @param {string} [options.outputPath] - Direct output path (takes precedence)
  * @param {string} [options.outputExtension] - Extension for obfuscated files (if outputPath not specified)
  * @param {boolean} [options.generateSourceMap] - Whether to generate source map file
+ * @param {boolean} [options.inlineSourceMap] - Embed the source map in the output instead of writing a .map file
  * @param {boolean} [options.saveSymbols] - Whether to save symbols cache
  * @param {string} [options.sourceMapPath] - Custom path for source map file
  * @param {string} [options.symbolsPath] - Custom path for symbols cache file
+ * @param {Object} [options.network] - Network settings from resolveNetworkOptions (API endpoint, proxy, CA bundle, retry policy, timeout)
+ * @param {AbortSignal} [options.signal] - Signal to cancel the protection before any output is written
+ * @param {string} [options.cacheDir] - Directory of cached results to reuse instead of calling the API
+ * @param {Function} [options.onCacheHit] - Called when the result was taken from the cache
+ * @param {Function} [options.onResult] - Called with the result (output, sourceMap, symbols) once the file is written
+ * @param {boolean|string} [options.watermark] - false to leave out the watermark line, or a custom comment for it (default: marker with a random ID)
+ * @param {boolean} [options.bom] - Whether to start the output with a UTF-8 BOM, unless it starts with a shebang (default: true)
+ * @param {boolean} [options.force] - Protect the file even if it already carries a watermark
+ * @param {boolean|string} [options.verify] - Check that the protected code parses: "module", "script", true to tell from the output path, or false to skip (default: true)
+ * @param {Function} [options.onWrite] - Called with the previous contents of each output path, null for new files, before they are written
+ * @param {Object} [options.staging] - Staging area from createStaging(); outputs are moved into place when it is committed
  * @param {boolean} [options._returnCodeOnly] - For internal use - just return the code
  * @param {string} [options._code] - For internal use - code to obfuscate
  * @returns {Promise<string|Object>} - Path to the obfuscated file or obfuscation result
@@ -251,9 +544,21 @@ export async function obfuscateFile({
   outputPath = null,
   outputExtension = '',
   generateSourceMap = false,
+  inlineSourceMap = false,
   saveSymbols = false,
   sourceMapPath = null,
   symbolsPath = null,
+  network = {},
+  signal = null,
+  cacheDir = null,
+  onCacheHit = null,
+  onResult = null,
+  watermark = true,
+  bom = true,
+  force = false,
+  verify = true,
+  onWrite = null,
+  staging = null,
   _returnCodeOnly = false,
   _code = null
 }) {
@@ -267,13 +572,42 @@ export async function obfuscateFile({
     fileContent = await readFile(filePath);
     
     // Check if file is already obfuscated
-    if (isAlreadyObfuscated(fileContent)) {
-      throw new Error('The file has already been protected.');
+    if (!force && isAlreadyObfuscated(fileContent, watermark)) {
+      throw new AlreadyProtectedError(filePath);
     }
   }
   
-  // Call ByteHide Shield API
-  const obfuscationResult = await callBytehideShieldAPI(fileContent, token, config);
+  // The shebang, license banners and directives are put back after the protection, and the
+  // sourceMappingURL of the input is left out: it points to the map of the unprotected code
+  const preamble = extractPreamble(removeSourceMappingURL(fileContent), getPreserveOptions(config));
+  
+  // Reuse a previous result for the same source, config and token if there is one
+  const cacheKey = cacheDir ? getCacheKey(preamble.code, config, token) : null;
+  const cachedResult = cacheKey ? await readCacheEntry(cacheDir, cacheKey) : null;
+  
+  // Call ByteHide Shield API unless the result is cached
+  const apiResult = cachedResult || await callBytehideShieldAPI(preamble.code, token, config, network, signal);
+  if (cachedResult && onCacheHit) {
+    onCacheHit();
+  }
+  
+  // Cached results are stored without the header, the watermark ID differs on every protection
+  const obfuscationResult = addHeader(apiResult, getHeaderLines(preamble, getWatermarkLine(watermark)));
+  
+  // Code that does not parse is never cached, returned or written over the file
+  if (verify === true) {
+    await verifyFileSyntax(obfuscationResult.output, fileContent, outputPath || filePath);
+  } else if (verify) {
+    await verifySyntax(obfuscationResult.output, verify);
+  }
+  
+  if (cacheKey && !cachedResult) {
+    try {
+      await writeCacheEntry(cacheDir, cacheKey, apiResult);
+    } catch (error) {
+      // The cache is an optimization, a failed write must not fail the protection
+    }
+  }
   
   // If this is programmatic usage, just return the result
   if (_returnCodeOnly) {
@@ -289,20 +623,30 @@ export async function obfuscateFile({
     finalOutputPath = filePath.replace(ext, `${outputExtension}${ext}`);
   }
   
-  // Add BOM to ensure proper encoding and write to file
-  const contentWithBOM = addBOM(obfuscationResult.output);
-  await writeFile(finalOutputPath, contentWithBOM);
-  
-  // Generate source map if needed
-  if (generateSourceMap && obfuscationResult.sourceMap) {
-    const sourceMapFilePath = getSourceMapPath(finalOutputPath, sourceMapPath);
-    await writeFile(sourceMapFilePath, obfuscationResult.sourceMap);
+  // Last chance to cancel: once writing starts, all outputs are written together
+  if (signal && signal.aborted) {
+    throw createAbortError();
   }
   
-  // Save symbols cache if needed
-  if (saveSymbols && obfuscationResult.symbols) {
-    const symbolsFilePath = getSymbolsPath(finalOutputPath, symbolsPath);
-    await writeFile(symbolsFilePath, JSON.stringify(obfuscationResult.symbols, null, 2));
+  const { output, files } = await buildOutputs(obfuscationResult, {
+    code: fileContent,
+    filePath,
+    outputPath: finalOutputPath,
+    generateSourceMap,
+    inlineSourceMap,
+    saveSymbols,
+    sourceMapPath,
+    symbolsPath
+  });
+  
+  // Add BOM to ensure proper encoding unless disabled, and write to file
+  // A BOM before a shebang stops the script from running, so executable files never get one
+  const outputs = [[finalOutputPath, bom && !output.startsWith('#!') ? addBOM(output) : output], ...files];
+  
+  await writeOutputs(outputs, filePath, onWrite, staging);
+  
+  if (onResult) {
+    onResult(obfuscationResult);
   }
   
   return finalOutputPath;
@@ -0,0 +1,23 @@
+/**
+ * Runs an async worker over a list of items with a bounded number of concurrent tasks
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of tasks running at the same time
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} - Worker results in the same order as the items
+ */
+export async function runWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  const limit = Math.max(1, Math.min(concurrency, items.length));
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: limit }, runNext));
+
+  return results;
+}
@@ -0,0 +1,173 @@
+// Characters that continue an expression on the next line, so a string before them is not a directive
+const CONTINUATION_PATTERN = /^(?:[.[(`+\-*/%,?=<>&|^]|in(?:stanceof)?\b)/;
+
+/**
+ * Gets the settings of which parts of the preamble are kept out of the protection
+ * @param {Object} [config] - File configuration
+ * @returns {{shebang: boolean, legalComments: boolean, directives: boolean}} - Preserve settings
+ */
+export function getPreserveOptions(config = {}) {
+  return {
+    shebang: config.preserveShebang !== false,
+    legalComments: config.preserveLegalComments !== false,
+    directives: config.preserveDirectives !== false
+  };
+}
+
+/**
+ * Checks if a comment is a legal comment, such as a license banner
+ * Same rule as bundlers: `/*!`, `//!` or a comment with `@license` or `@preserve`
+ * @param {string} comment - Comment including its delimiters
+ * @returns {boolean} - True for legal comments
+ */
+function isLegalComment(comment) {
+  return /^\/[*/]!/.test(comment) || /@license|@preserve/.test(comment);
+}
+
+/**
+ * Finds the end of the line a position is on
+ * @param {string} code - Source code
+ * @param {number} index - Position in the line
+ * @returns {number} - Position of the line break, or the length of the code
+ */
+function findLineEnd(code, index) {
+  const end = code.indexOf('\n', index);
+  return end === -1 ? code.length : end;
+}
+
+/**
+ * Skips whitespace and line breaks
+ * @param {string} code - Source code
+ * @param {number} index - Start position
+ * @returns {number} - Position of the next other character
+ */
+function skipWhitespace(code, index) {
+  while (index < code.length && /\s/.test(code[index])) {
+    index++;
+  }
+  return index;
+}
+
+/**
+ * Finds the end of a string literal
+ * @param {string} code - Source code
+ * @param {number} start - Position of the opening quote
+ * @returns {number} - Position after the closing quote, or -1 if the string is not closed on its line
+ */
+function findStringEnd(code, start) {
+  const quote = code[start];
+  for (let index = start + 1; index < code.length; index++) {
+    const char = code[index];
+    if (char === '\\') {
+      index++;
+    } else if (char === quote) {
+      return index + 1;
+    } else if (char === '\n' || char === '\r') {
+      return -1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Finds the end of a directive statement made of a string literal
+ * @param {string} code - Source code
+ * @param {number} index - Position after the string literal
+ * @returns {number} - Position after the statement, or -1 if the string is part of an expression
+ */
+function findDirectiveEnd(code, index) {
+  while (code[index] === ' ' || code[index] === '\t') {
+    index++;
+  }
+
+  if (code[index] === ';') {
+    return index + 1;
+  }
+  if (index >= code.length || code.startsWith('//', index) || code.startsWith('/*', index)) {
+    return index;
+  }
+  if (code[index] !== '\n' && code[index] !== '\r') {
+    return -1;
+  }
+
+  // Without a semicolon, the next line must not continue the expression
+  const next = code.slice(skipWhitespace(code, index));
+  if (!next.startsWith('//') && !next.startsWith('/*') && CONTINUATION_PATTERN.test(next)) {
+    return -1;
+  }
+  return index;
+}
+
+/**
+ * Extracts the shebang, the legal comments and the directives at the top of a file,
+ * so the protection cannot move or remove them
+ * Extracted parts are replaced with spaces in the returned code, keeping every other
+ * character at its line and column for source maps
+ * @param {string} code - Source code
+ * @param {Object} [options] - Parts to extract, see getPreserveOptions()
+ * @returns {{code: string, shebang: string|null, comments: string[], directives: string[]}} - Code to protect and the extracted parts
+ */
+export function extractPreamble(code, { shebang = true, legalComments = true, directives = true } = {}) {
+  const preamble = { shebang: null, comments: [], directives: [] };
+  const ranges = [];
+  let index = code.startsWith('\uFEFF') ? 1 : 0;
+
+  if (code.startsWith('#!', index)) {
+    const end = findLineEnd(code, index);
+    if (shebang) {
+      preamble.shebang = code.slice(index, end).trimEnd();
+      ranges.push([index, end]);
+    }
+    index = end;
+  }
+
+  // Comments and directives up to the first other statement
+  while (true) {
+    index = skipWhitespace(code, index);
+
+    if (code.startsWith('/*', index) || code.startsWith('//', index)) {
+      const closing = code.startsWith('/*', index) ? code.indexOf('*/', index + 2) : findLineEnd(code, index);
+      if (closing === -1) {
+        break;
+      }
+      const end = code.startsWith('/*', index) ? closing + 2 : closing;
+      const comment = code.slice(index, end).trimEnd();
+      if (legalComments && isLegalComment(comment)) {
+        preamble.comments.push(comment);
+        ranges.push([index, end]);
+      }
+      index = end;
+    } else if (code[index] === '"' || code[index] === '\'') {
+      const stringEnd = findStringEnd(code, index);
+      const end = stringEnd === -1 ? -1 : findDirectiveEnd(code, stringEnd);
+      if (end === -1) {
+        break;
+      }
+      if (directives) {
+        preamble.directives.push(`${code.slice(index, stringEnd)};`);
+        ranges.push([index, end]);
+      }
+      index = end;
+    } else {
+      break;
+    }
+  }
+
+  let body = code;
+  for (const [start, end] of ranges) {
+    body = body.slice(0, start) + body.slice(start, end).replace(/[^\r\n]/g, ' ') + body.slice(end);
+  }
+
+  return { ...preamble, code: body };
+}
+
+/**
+ * Gets the lines to restore before the protected code, in the order they must appear
+ * @param {Object} preamble - Parts returned by extractPreamble()
+ * @param {string|null} watermarkLine - Watermark comment, kept right after the shebang
+ * @returns {string[]} - Header lines; comments may span several lines
+ */
+export function getHeaderLines(preamble, watermarkLine) {
+  return [preamble.shebang, watermarkLine, ...preamble.comments, ...preamble.directives]
+    .filter(line => line !== null);
+}
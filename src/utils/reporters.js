@@ -0,0 +1,116 @@
+// Available machine-readable report formats
+export const REPORTERS = ['json', 'junit', 'plain'];
+
+/**
+ * Escapes a string for use in XML text and attributes
+ * @param {string} value - Value to escape
+ * @returns {string} - Escaped value
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Formats milliseconds as seconds for JUnit time attributes
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Duration in seconds
+ */
+function toSeconds(ms) {
+  return (ms / 1000).toFixed(3);
+}
+
+/**
+ * Formats a protection report as JSON
+ * @param {Object} report - Protection report
+ * @returns {string} - JSON document
+ */
+function formatJson(report) {
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+/**
+ * Formats a protection report as JUnit XML, with one test case per file
+ * @param {Object} report - Protection report
+ * @returns {string} - JUnit XML document
+ */
+function formatJunit(report) {
+  const { summary } = report;
+  const skipped = summary.skipped + summary.cancelled;
+  const counts = `tests="${summary.total}" failures="${summary.failed}" errors="0" skipped="${skipped}" time="${toSeconds(report.durationMs)}"`;
+
+  const testCases = report.files.map(result => {
+    const open = `    <testcase classname="shield.protect" name="${escapeXml(result.file)}" time="${toSeconds(result.durationMs)}"`;
+
+    switch (result.status) {
+      case 'failed':
+        return `${open}>\n      <failure message="${escapeXml(result.error)}">${escapeXml(result.error)}</failure>\n    </testcase>`;
+      case 'skipped':
+      case 'cancelled':
+        return `${open}>\n      <skipped message="${escapeXml(result.reason)}"/>\n    </testcase>`;
+      default:
+        return `${open}/>`;
+    }
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites ${counts}>`,
+    `  <testsuite name="shield protect" ${counts} timestamp="${report.startedAt}">`,
+    ...testCases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Formats a protection report as plain text, one line per file
+ * @param {Object} report - Protection report
+ * @returns {string} - Plain text report
+ */
+function formatPlain(report) {
+  const lines = report.files.map(result => {
+    const status = result.status.toUpperCase();
+    const duration = `(${result.durationMs}ms)`;
+
+    switch (result.status) {
+      case 'success':
+        return `${status} ${result.file} -> ${result.outputPath}${result.cached ? ' [cached]' : ''} ${duration}`;
+      case 'failed':
+        return `${status} ${result.file}: ${result.error} ${duration}`;
+      default:
+        return `${status} ${result.file}: ${result.reason}`;
+    }
+  });
+
+  const { summary } = report;
+  lines.push(
+    `Total: ${summary.total}, Success: ${summary.success}, Cached: ${summary.cached}, Skipped: ${summary.skipped}, Failed: ${summary.failed}, Cancelled: ${summary.cancelled} (${report.durationMs}ms)`
+  );
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Formats a protection report
+ * @param {string} reporter - Report format: json, junit or plain
+ * @param {Object} report - Protection report with startedAt, durationMs, summary and files
+ * @returns {string} - Formatted report
+ */
+export function formatReport(reporter, report) {
+  switch (reporter) {
+    case 'json':
+      return formatJson(report);
+    case 'junit':
+      return formatJunit(report);
+    case 'plain':
+      return formatPlain(report);
+    default:
+      throw new Error(`Unknown reporter: ${reporter}. Available reporters: ${REPORTERS.join(', ')}`);
+  }
+}
@@ -0,0 +1,311 @@
+import { CLI_CONFIG_KEYS } from './config.js';
+
+// Shared definitions for option values
+const THRESHOLD = { type: 'number', min: 0, max: 1 };
+const BOOLEAN = { type: 'boolean' };
+const STRING = { type: 'string' };
+const STRING_ARRAY = { type: 'array', items: { type: 'string' } };
+
+// Schema of every supported configuration key
+export const CONFIG_SCHEMA = {
+  // Project token
+  ProjectToken: STRING,
+  projectToken: STRING,
+
+  // Obfuscation options sent to the API
+  compact: BOOLEAN,
+  controlFlowFlattening: BOOLEAN,
+  controlFlowFlatteningThreshold: THRESHOLD,
+  deadCodeInjection: BOOLEAN,
+  deadCodeInjectionThreshold: THRESHOLD,
+  debugProtection: BOOLEAN,
+  debugProtectionInterval: { type: ['boolean', 'integer'], min: 0 },
+  devtoolsBlocking: BOOLEAN,
+  disableConsoleOutput: BOOLEAN,
+  domainLock: STRING_ARRAY,
+  domainLockRedirectUrl: STRING,
+  forceTransformStrings: STRING_ARRAY,
+  identifierNamesCache: { type: ['object', 'null'] },
+  identifierNamesGenerator: { type: 'string', enum: ['dictionary', 'hexadecimal', 'mangled', 'mangled-shuffled'] },
+  identifiersDictionary: STRING_ARRAY,
+  identifiersPrefix: STRING,
+  ignoreImports: BOOLEAN,
+  numbersToExpressions: BOOLEAN,
+  optionsPreset: { type: 'string', enum: ['default', 'low-obfuscation', 'medium-obfuscation', 'high-obfuscation'] },
+  renameGlobals: BOOLEAN,
+  renameProperties: BOOLEAN,
+  renamePropertiesMode: { type: 'string', enum: ['safe', 'unsafe'] },
+  reservedNames: STRING_ARRAY,
+  reservedStrings: STRING_ARRAY,
+  seed: { type: ['integer', 'string'] },
+  selfDefending: BOOLEAN,
+  simplify: BOOLEAN,
+  sourceMap: BOOLEAN,
+  sourceMapBaseUrl: STRING,
+  sourceMapFileName: STRING,
+  sourceMapMode: { type: 'string', enum: ['separate', 'inline'] },
+  splitStrings: BOOLEAN,
+  splitStringsChunkLength: { type: 'integer', min: 1 },
+  stringArray: BOOLEAN,
+  stringArrayCallsTransform: BOOLEAN,
+  stringArrayCallsTransformThreshold: THRESHOLD,
+  stringArrayEncoding: { type: 'array', items: { type: 'string', enum: ['none', 'base64', 'rc4'] } },
+  stringArrayIndexesType: { type: 'array', items: { type: 'string', enum: ['hexadecimal-number', 'hexadecimal-numeric-string'] } },
+  stringArrayIndexShift: BOOLEAN,
+  stringArrayRotate: BOOLEAN,
+  stringArrayShuffle: BOOLEAN,
+  stringArrayThreshold: THRESHOLD,
+  stringArrayWrappersCount: { type: 'integer', min: 0 },
+  stringArrayWrappersChainedCalls: BOOLEAN,
+  stringArrayWrappersParametersMaxCount: { type: 'integer', min: 2 },
+  stringArrayWrappersType: { type: 'string', enum: ['variable', 'function'] },
+  target: { type: 'string', enum: ['browser', 'browser-no-eval', 'node'] },
+  transformObjectKeys: BOOLEAN,
+  unicodeEscapeSequence: BOOLEAN,
+
+  // CLI settings, not sent to the API
+  apiUrl: STRING,
+  proxy: STRING,
+  caFile: STRING,
+  concurrency: { type: 'integer', min: 1 },
+  retries: { type: 'integer', min: 0 },
+  retryDelay: { type: 'integer', min: 0 },
+  timeout: { type: 'integer', min: 0 },
+  cache: BOOLEAN,
+  cacheDir: STRING,
+  backupDir: STRING,
+  bail: BOOLEAN,
+  maxFailures: { type: 'integer', min: 1 },
+  failOnSkipped: BOOLEAN,
+  watermark: { type: ['boolean', 'string'] },
+  bom: BOOLEAN,
+  verify: BOOLEAN,
+  verifyCommand: STRING,
+  atomic: BOOLEAN,
+  preserveShebang: BOOLEAN,
+  preserveLegalComments: BOOLEAN,
+  preserveDirectives: BOOLEAN,
+  exclude: STRING_ARRAY,
+  overrides: { type: 'array', items: { type: 'object' } },
+  extends: { type: ['string', 'array'], items: STRING },
+  profiles: { type: 'object' }
+};
+
+// Settings that apply to the whole run and cannot be overridden per file
+const RUN_WIDE_KEYS = ['ProjectToken', 'projectToken', ...CLI_CONFIG_KEYS];
+
+// Unknown keys closer than this edit distance are reported as likely typos
+const MAX_SUGGESTION_DISTANCE = 3;
+
+/**
+ * Computes the Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Edit distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Finds the closest candidate to a misspelled value
+ * @param {string} value - Misspelled value
+ * @param {string[]} candidates - Valid values
+ * @returns {string|null} - Closest candidate or null if none is close enough
+ */
+export function findSuggestion(value, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(value.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  const limit = Math.min(MAX_SUGGESTION_DISTANCE, Math.floor(value.length / 2));
+  return bestDistance <= limit ? best : null;
+}
+
+/**
+ * Checks if a value has the given schema type
+ * @param {*} value - Value to check
+ * @param {string} type - Schema type
+ * @returns {boolean} - True if the value matches
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Validates a value against a schema entry
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema entry
+ * @param {string} name - Key path for messages
+ * @returns {string[]} - Error messages
+ */
+function validateValue(value, schema, name) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  if (!types.some(type => matchesType(value, type))) {
+    return [`${name} must be ${types.map(type => `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`).join(' or ')}, got ${JSON.stringify(value)}`];
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.flatMap((item, index) => validateValue(item, schema.items, `${name}[${index}]`));
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const suggestion = findSuggestion(String(value), schema.enum);
+    return [`${name} must be one of ${schema.enum.map(option => `"${option}"`).join(', ')}, got ${JSON.stringify(value)}${suggestion ? `. Did you mean "${suggestion}"?` : ''}`];
+  }
+
+  if (typeof value === 'number') {
+    if (schema.min !== undefined && value < schema.min) {
+      return [`${name} must be at least ${schema.min}, got ${value}`];
+    }
+    if (schema.max !== undefined && value > schema.max) {
+      return [`${name} must be at most ${schema.max}, got ${value}`];
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Validates the options of a configuration object
+ * @param {Object} config - Configuration object
+ * @param {string} prefix - Key path prefix for messages
+ * @param {string[]} disallowedKeys - Known keys that may not be used here
+ * @param {string} [disallowedReason] - Why those keys may not be used, for messages
+ * @returns {{errors: string[], warnings: string[]}} - Validation problems
+ */
+function validateOptions(config, prefix, disallowedKeys, disallowedReason = '') {
+  const errors = [];
+  const warnings = [];
+  const knownKeys = Object.keys(CONFIG_SCHEMA).filter(key => !disallowedKeys.includes(key));
+
+  for (const [key, value] of Object.entries(config)) {
+    // Keys explicitly set to undefined (e.g. a missing token) are ignored
+    if (value === undefined) {
+      continue;
+    }
+
+    const name = `${prefix}${key}`;
+    if (disallowedKeys.includes(key)) {
+      errors.push(`${name} ${disallowedReason}`);
+      continue;
+    }
+
+    const schema = CONFIG_SCHEMA[key];
+    if (!schema) {
+      const suggestion = findSuggestion(key, knownKeys);
+      if (suggestion) {
+        errors.push(`Unknown option "${name}". Did you mean "${suggestion}"?`);
+      } else {
+        warnings.push(`Unknown option "${name}" will be sent to the API as is`);
+      }
+      continue;
+    }
+
+    errors.push(...validateValue(value, schema, name));
+
+    if (key === 'profiles' && matchesType(value, 'object')) {
+      Object.entries(value).forEach(([profile, profileConfig]) => {
+        const profileName = `${name}.${profile}`;
+        const profileErrors = validateValue(profileConfig, { type: 'object' }, profileName);
+        if (profileErrors.length > 0) {
+          errors.push(...profileErrors);
+          return;
+        }
+        const result = validateOptions(profileConfig, `${profileName}.`, ['extends', 'profiles'], 'cannot be used inside a profile');
+        errors.push(...result.errors);
+        warnings.push(...result.warnings);
+      });
+    }
+
+    if (key === 'overrides' && Array.isArray(value)) {
+      value.forEach((override, index) => {
+        if (matchesType(override, 'object')) {
+          const result = validateOverride(override, `${name}[${index}]`);
+          errors.push(...result.errors);
+          warnings.push(...result.warnings);
+        }
+      });
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Validates an entry of the overrides array
+ * @param {Object} override - Override with files and config
+ * @param {string} name - Key path for messages
+ * @returns {{errors: string[], warnings: string[]}} - Validation problems
+ */
+function validateOverride(override, name) {
+  const errors = [];
+  const { files, config, ...rest } = override;
+
+  Object.keys(rest).forEach(key => errors.push(`Unknown key "${name}.${key}", expected "files" and "config"`));
+
+  if (files === undefined) {
+    errors.push(`${name}.files is required`);
+  } else {
+    errors.push(...validateValue(files, { type: ['string', 'array'], items: STRING }, `${name}.files`));
+  }
+
+  if (config === undefined) {
+    errors.push(`${name}.config is required`);
+    return { errors, warnings: [] };
+  }
+
+  const configErrors = validateValue(config, { type: 'object' }, `${name}.config`);
+  if (configErrors.length > 0) {
+    return { errors: [...errors, ...configErrors], warnings: [] };
+  }
+
+  const result = validateOptions(config, `${name}.config.`, [...RUN_WIDE_KEYS, 'extends'], 'applies to the whole run and cannot be overridden per file');
+  return { errors: [...errors, ...result.errors], warnings: result.warnings };
+}
+
+/**
+ * Validates a configuration object against the schema
+ * Likely typos of known keys are errors, other unknown keys are warnings
+ * @param {Object} config - Configuration object
+ * @returns {{errors: string[], warnings: string[]}} - Validation problems
+ */
+export function validateConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return { errors: ['Configuration must be an object'], warnings: [] };
+  }
+
+  return validateOptions(config, '', []);
+}
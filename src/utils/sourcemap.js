@@ -0,0 +1,316 @@
+import path from 'path';
+import { fileExists, readFile } from './files.js';
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_VALUES = new Map([...BASE64_CHARS].map((char, index) => [char, index]));
+
+// Last sourceMappingURL comment of a file, in line or block comment form
+const SOURCE_MAPPING_URL_PATTERN = /(?:\/\/[#@]\s*sourceMappingURL=([^\s'"]+)[ \t]*|\/\*[#@]\s*sourceMappingURL=([^\s'"*]+)\s*\*\/)\s*$/;
+
+/**
+ * Decodes the VLQ mappings of a source map
+ * @param {string} mappings - Mappings string
+ * @returns {number[][][]} - Segments per generated line, with absolute [column, source, line, column, name] values
+ */
+function decodeMappings(mappings) {
+  const lines = [];
+  const state = [0, 0, 0, 0, 0];
+
+  for (const line of mappings.split(';')) {
+    const segments = [];
+    state[0] = 0;
+
+    for (const segment of line.split(',')) {
+      if (!segment) {
+        continue;
+      }
+
+      const values = [];
+      let value = 0;
+      let shift = 0;
+      for (const char of segment) {
+        const digit = BASE64_VALUES.get(char);
+        if (digit === undefined) {
+          throw new Error(`Invalid character in source map mappings: ${char}`);
+        }
+        value += (digit & 31) << shift;
+        if (digit & 32) {
+          shift += 5;
+        } else {
+          values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+          value = 0;
+          shift = 0;
+        }
+      }
+
+      segments.push(values.map((delta, index) => (state[index] += delta)));
+    }
+
+    lines.push(segments);
+  }
+
+  return lines;
+}
+
+/**
+ * Encodes a number as a base64 VLQ
+ * @param {number} value - Number to encode
+ * @returns {string} - Encoded value
+ */
+function encodeVlq(value) {
+  let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+  let encoded = '';
+
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) {
+      digit |= 32;
+    }
+    encoded += BASE64_CHARS[digit];
+  } while (vlq > 0);
+
+  return encoded;
+}
+
+/**
+ * Encodes segments per generated line as source map mappings
+ * @param {number[][][]} lines - Segments with absolute values, as returned by decodeMappings
+ * @returns {string} - Mappings string
+ */
+function encodeMappings(lines) {
+  const state = [0, 0, 0, 0, 0];
+
+  return lines.map(segments => {
+    state[0] = 0;
+    return segments.map(segment => {
+      const encoded = segment.map((value, index) => encodeVlq(value - state[index])).join('');
+      segment.forEach((value, index) => {
+        state[index] = value;
+      });
+      return encoded;
+    }).join(',');
+  }).join(';');
+}
+
+/**
+ * Finds the segment that maps a generated position
+ * @param {number[][]} segments - Segments of the generated line, sorted by column
+ * @param {number} column - Generated column
+ * @returns {number[]|null} - Closest segment at or before the column
+ */
+function findSegment(segments, column) {
+  let low = 0;
+  let high = segments.length - 1;
+  let found = null;
+
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (segments[middle][0] <= column) {
+      found = segments[middle];
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Parses a source map given as a string or object
+ * @param {string|Object} sourceMap - Source map
+ * @returns {Object} - Source map object
+ */
+function parseSourceMap(sourceMap) {
+  return typeof sourceMap === 'string' ? JSON.parse(sourceMap) : sourceMap;
+}
+
+/**
+ * Checks if a source is a URL rather than a file path
+ * @param {string} source - Source entry
+ * @returns {boolean} - True for URLs such as webpack:// or https://
+ */
+function isUrl(source) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(source) && !path.isAbsolute(source);
+}
+
+/**
+ * Decodes a data: URL holding a source map
+ * @param {string} url - data: URL
+ * @returns {string} - Source map JSON
+ */
+function decodeDataUrl(url) {
+  const separator = url.indexOf(',');
+  const header = url.slice(0, separator);
+  const data = url.slice(separator + 1);
+  return header.endsWith(';base64') ? Buffer.from(data, 'base64').toString('utf-8') : decodeURIComponent(data);
+}
+
+/**
+ * Reads the sourceMappingURL comment at the end of a file
+ * @param {string} code - Code
+ * @returns {string|null} - Source map URL, or null without a comment
+ */
+export function getSourceMappingURL(code) {
+  const match = code.match(SOURCE_MAPPING_URL_PATTERN);
+  return match ? match[1] || match[2] : null;
+}
+
+/**
+ * Finds the source map of an input file from its sourceMappingURL comment
+ * @param {string} code - Input code
+ * @param {string} filePath - Input file path
+ * @returns {Promise<{map: Object, directory: string}|null>} - Input map and the directory its sources are relative to
+ */
+export async function findInputSourceMap(code, filePath) {
+  const url = getSourceMappingURL(code);
+  if (!url) {
+    return null;
+  }
+
+  const fileDirectory = path.dirname(path.resolve(filePath));
+
+  try {
+    if (url.startsWith('data:')) {
+      return { map: JSON.parse(decodeDataUrl(url)), directory: fileDirectory };
+    }
+
+    if (isUrl(url)) {
+      return null;
+    }
+
+    const mapPath = path.resolve(fileDirectory, decodeURIComponent(url));
+    if (!fileExists(mapPath)) {
+      return null;
+    }
+
+    return { map: JSON.parse(await readFile(mapPath)), directory: path.dirname(mapPath) };
+  } catch (error) {
+    // An unreadable input map is ignored, the protected file still gets its own map
+    return null;
+  }
+}
+
+/**
+ * Composes the map of the protected code with the map of its input, so it points to the original sources
+ * @param {string|Object} shieldMap - Map from protected code to the input file
+ * @param {Object} inputMap - Map from the input file to its original sources
+ * @param {string} inputMapDirectory - Directory the input map sources are relative to
+ * @param {string} outputMapDirectory - Directory of the composed map, its sources are made relative to it
+ * @returns {Object} - Map from protected code to the original sources
+ */
+export function composeSourceMaps(shieldMap, inputMap, inputMapDirectory, outputMapDirectory) {
+  const outer = parseSourceMap(shieldMap);
+
+  // Index maps with sections are not composed
+  if (!inputMap.mappings || inputMap.sections) {
+    return outer;
+  }
+
+  const inputLines = decodeMappings(inputMap.mappings);
+  const outerNames = outer.names || [];
+  const inputNames = inputMap.names || [];
+  const sources = [];
+  const sourcesContent = [];
+  const names = [];
+  const sourceIndexes = new Map();
+  const nameIndexes = new Map();
+
+  const getSourceIndex = (index) => {
+    if (!sourceIndexes.has(index)) {
+      const source = inputMap.sources[index];
+      const sourcePath = isUrl(source)
+        ? source
+        : path.relative(outputMapDirectory, path.resolve(inputMapDirectory, inputMap.sourceRoot || '', source)).split(path.sep).join('/');
+      sourceIndexes.set(index, sources.length);
+      sources.push(sourcePath);
+      sourcesContent.push(inputMap.sourcesContent ? inputMap.sourcesContent[index] || null : null);
+    }
+    return sourceIndexes.get(index);
+  };
+
+  const getNameIndex = (name) => {
+    if (!nameIndexes.has(name)) {
+      nameIndexes.set(name, names.length);
+      names.push(name);
+    }
+    return nameIndexes.get(name);
+  };
+
+  const lines = decodeMappings(outer.mappings).map(segments => segments
+    .map(([column, , line, sourceColumn, nameIndex]) => {
+      if (line === undefined) {
+        return null;
+      }
+
+      const original = findSegment(inputLines[line] || [], sourceColumn);
+      if (!original || original.length < 4) {
+        return null;
+      }
+
+      const segment = [column, getSourceIndex(original[1]), original[2], original[3]];
+      const name = original.length > 4 ? inputNames[original[4]] : outerNames[nameIndex];
+      if (name !== undefined) {
+        segment.push(getNameIndex(name));
+      }
+      return segment;
+    })
+    .filter(Boolean));
+
+  const composed = {
+    version: 3,
+    file: outer.file,
+    sources,
+    names,
+    mappings: encodeMappings(lines)
+  };
+
+  if (sourcesContent.some(content => content !== null)) {
+    composed.sourcesContent = sourcesContent;
+  }
+
+  return composed;
+}
+
+/**
+ * Shifts a source map down by lines added before the mapped code
+ * @param {string|Object} sourceMap - Source map
+ * @param {number} count - Number of lines added
+ * @returns {string|Object} - Shifted map, of the same type as the given one
+ */
+export function prependLines(sourceMap, count) {
+  const map = parseSourceMap(sourceMap);
+  const shifted = { ...map, mappings: `${';'.repeat(count)}${map.mappings}` };
+  return typeof sourceMap === 'string' ? JSON.stringify(shifted) : shifted;
+}
+
+/**
+ * Removes the sourceMappingURL comment at the end of a file
+ * @param {string} code - Code
+ * @returns {string} - Code without the comment
+ */
+export function removeSourceMappingURL(code) {
+  return code.replace(SOURCE_MAPPING_URL_PATTERN, '');
+}
+
+/**
+ * Sets the sourceMappingURL comment of a file, replacing an existing one
+ * @param {string} code - Code
+ * @param {string} url - Source map URL
+ * @returns {string} - Code ending with the comment
+ */
+export function setSourceMappingURL(code, url) {
+  const withoutComment = removeSourceMappingURL(code).replace(/\s+$/, '');
+  return `${withoutComment}\n//# sourceMappingURL=${url}\n`;
+}
+
+/**
+ * Encodes a source map as a data: URL for inline source maps
+ * @param {string|Object} sourceMap - Source map
+ * @returns {string} - data: URL
+ */
+export function toDataUrl(sourceMap) {
+  const json = typeof sourceMap === 'string' ? sourceMap : JSON.stringify(sourceMap);
+  return `data:application/json;charset=utf-8;base64,${Buffer.from(json, 'utf-8').toString('base64')}`;
+}
@@ -0,0 +1,67 @@
+import { fileExists, readFile, writeFile } from './files.js';
+
+/**
+ * Checks if a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for non-null, non-array objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merges identifier names into a cache, keeping the names already in it
+ * Nested groups (e.g. globalIdentifiers, propertyIdentifiers) are merged key by key
+ * @param {Object} cache - Identifier names cache, modified in place
+ * @param {Object|null} symbols - Identifier names to add
+ * @returns {Object} - The cache
+ */
+export function mergeSymbols(cache, symbols) {
+  if (!isPlainObject(symbols)) {
+    return cache;
+  }
+
+  for (const [key, value] of Object.entries(symbols)) {
+    if (isPlainObject(value) && isPlainObject(cache[key])) {
+      mergeSymbols(cache[key], value);
+    } else if (!(key in cache)) {
+      cache[key] = isPlainObject(value) ? mergeSymbols({}, value) : value;
+    }
+  }
+
+  return cache;
+}
+
+/**
+ * Loads an identifier names cache
+ * @param {string} symbolsPath - Path to the cache file
+ * @returns {Promise<Object>} - Identifier names cache
+ */
+export async function loadSymbols(symbolsPath) {
+  if (!fileExists(symbolsPath)) {
+    throw new Error(`Symbols file not found: ${symbolsPath}`);
+  }
+
+  let symbols;
+  try {
+    symbols = JSON.parse(await readFile(symbolsPath));
+  } catch (error) {
+    throw new Error(`Invalid symbols file ${symbolsPath}: ${error.message}`);
+  }
+
+  if (!isPlainObject(symbols)) {
+    throw new Error(`Invalid symbols file ${symbolsPath}: expected a JSON object`);
+  }
+
+  return symbols;
+}
+
+/**
+ * Writes an identifier names cache
+ * @param {string} symbolsPath - Path to the cache file
+ * @param {Object} symbols - Identifier names cache
+ * @returns {Promise<void>}
+ */
+export async function saveSymbols(symbolsPath, symbols) {
+  await writeFile(symbolsPath, `${JSON.stringify(symbols, null, 2)}\n`);
+}
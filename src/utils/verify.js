@@ -0,0 +1,213 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { existsSync, readFileSync } from 'fs';
+import { spawn } from 'child_process';
+import { writeFile } from './files.js';
+import { VerificationError } from './errors.js';
+
+// Command output kept for error messages, from its end
+const MAX_OUTPUT_LENGTH = 64 * 1024;
+
+// Lines of command output shown when a verify command fails
+const MAX_DETAIL_LINES = 20;
+
+// Placeholder replaced with the path of each protected file in a verify command
+export const FILE_PLACEHOLDER = '{file}';
+
+// Module type of each directory, from the nearest package.json
+const packageTypes = new Map();
+
+/**
+ * Finds the module type of a directory from the nearest package.json, like Node.js does
+ * @param {string} directory - Absolute directory path
+ * @returns {string} - "module" or "commonjs"
+ */
+function findPackageType(directory) {
+  if (packageTypes.has(directory)) {
+    return packageTypes.get(directory);
+  }
+
+  let type = 'commonjs';
+  const packagePath = path.join(directory, 'package.json');
+  const parent = path.dirname(directory);
+
+  if (existsSync(packagePath)) {
+    try {
+      type = JSON.parse(readFileSync(packagePath, 'utf-8')).type === 'module' ? 'module' : 'commonjs';
+    } catch (error) {
+      // An unreadable package.json does not make the file a module
+    }
+  } else if (parent !== directory) {
+    type = findPackageType(parent);
+  }
+
+  packageTypes.set(directory, type);
+  return type;
+}
+
+/**
+ * Gets how a file is parsed, from its extension or the type in the nearest package.json
+ * @param {string} filePath - File path
+ * @returns {string} - "module" or "script"
+ */
+export function getSourceType(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.mjs') {
+    return 'module';
+  }
+  if (extension === '.cjs') {
+    return 'script';
+  }
+  return findPackageType(path.dirname(path.resolve(filePath))) === 'module' ? 'module' : 'script';
+}
+
+/**
+ * Runs a process and collects its output
+ * @param {string} command - Executable, or a command line when shell is set
+ * @param {string[]} args - Arguments
+ * @param {Object} [options] - Process options
+ * @param {string} [options.input] - Text written to the standard input
+ * @param {boolean} [options.shell] - Run the command line in a shell
+ * @returns {Promise<{exitCode: number, output: string}>} - Exit code and the end of stdout and stderr
+ */
+function runProcess(command, args, { input = null, shell = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      shell,
+      stdio: [input === null ? 'ignore' : 'pipe', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    const collect = (chunk) => {
+      output = (output + chunk.toString()).slice(-MAX_OUTPUT_LENGTH);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    child.on('error', reject);
+    child.on('close', (code) => {
+      resolve({ exitCode: code === null ? 1 : code, output });
+    });
+
+    if (input !== null) {
+      // The process may exit before reading everything, such as on the first syntax error
+      child.stdin.on('error', () => {});
+      child.stdin.end(input);
+    }
+  });
+}
+
+/**
+ * Runs the Node.js syntax check on code
+ * @param {string} code - Code to check
+ * @param {string} sourceType - "module" or "script"
+ * @returns {Promise<{exitCode: number, output: string}>} - Exit code and output of the check
+ */
+function checkSyntax(code, sourceType) {
+  const inputType = sourceType === 'module' ? 'module' : 'commonjs';
+  return runProcess(process.execPath, ['--check', `--input-type=${inputType}`], { input: code });
+}
+
+/**
+ * Checks that code parses, with the Node.js syntax check
+ * @param {string} code - Code to check
+ * @param {string} sourceType - "module" or "script"
+ * @returns {Promise<void>}
+ * @throws {VerificationError} - If the code does not parse
+ */
+export async function verifySyntax(code, sourceType) {
+  const { exitCode, output } = await checkSyntax(code, sourceType);
+
+  if (exitCode !== 0) {
+    const error = output.match(/^\w*Error: .*$/m);
+    const line = output.match(/^\[stdin\]:(\d+)/m);
+    throw new VerificationError(
+      `Protected code is not valid JavaScript (${sourceType}): ${error ? error[0] : 'syntax check failed'}${line ? ` at line ${line[1]}` : ''}`
+    );
+  }
+}
+
+/**
+ * Checks that the protected code of a file parses, as the file is parsed
+ * A file that is a script by its path but whose original code only parses as a module, such as
+ * bundler output with import and export in a package without "type": "module", is checked as a module
+ * @param {string} code - Protected code
+ * @param {string} originalCode - Code before the protection
+ * @param {string} filePath - Path the file is parsed from
+ * @returns {Promise<void>}
+ * @throws {VerificationError} - If the code does not parse
+ */
+export async function verifyFileSyntax(code, originalCode, filePath) {
+  const sourceType = getSourceType(filePath);
+
+  try {
+    await verifySyntax(code, sourceType);
+  } catch (error) {
+    if (sourceType !== 'script') {
+      throw error;
+    }
+    const [asScript, asModule] = await Promise.all([checkSyntax(originalCode, 'script'), checkSyntax(originalCode, 'module')]);
+    if (asScript.exitCode === 0 || asModule.exitCode !== 0) {
+      throw error;
+    }
+    await verifySyntax(code, 'module');
+  }
+}
+
+/**
+ * Quotes a path for the shell a command runs in
+ * @param {string} value - Path
+ * @returns {string} - Quoted path
+ */
+function quoteArgument(value) {
+  if (process.platform === 'win32') {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return `'${value.replace(/'/g, '\'\\\'\'')}'`;
+}
+
+/**
+ * Checks if a verify command runs once per file
+ * @param {string} command - Verify command
+ * @returns {boolean} - True if it contains the {file} placeholder
+ */
+export function isPerFileCommand(command) {
+  return command.includes(FILE_PLACEHOLDER);
+}
+
+/**
+ * Runs a verify command in a shell
+ * @param {string} command - Command line, {file} is replaced with the quoted file path
+ * @param {string} [filePath] - Protected file the command runs for
+ * @returns {Promise<void>}
+ * @throws {VerificationError} - If the command exits with a non-zero code, with the end of its output as details
+ */
+export async function runVerifyCommand(command, filePath = null) {
+  const commandLine = filePath ? command.split(FILE_PLACEHOLDER).join(quoteArgument(filePath)) : command;
+
+  let result;
+  try {
+    result = await runProcess(commandLine, [], { shell: true });
+  } catch (error) {
+    throw new VerificationError(`Verify command could not be started: ${error.message}`, { cause: error });
+  }
+
+  if (result.exitCode !== 0) {
+    const lines = result.output.split(/\r?\n/).filter(line => line.trim());
+    const lastLine = lines.length > 0 ? `: ${lines[lines.length - 1].trim()}` : '';
+    throw new VerificationError(`Verify command failed with exit code ${result.exitCode}${lastLine}`, {
+      details: lines.slice(-MAX_DETAIL_LINES)
+    });
+  }
+}
+
+/**
+ * Puts back the contents output paths had before they were written
+ * @param {Array<{path: string, previous: Buffer|null}>} outputs - Output paths and their previous contents, null for new files
+ * @returns {Promise<void>}
+ */
+export async function revertOutputs(outputs) {
+  await Promise.all(outputs.map(({ path: outputPath, previous }) => previous === null
+    ? fs.rm(outputPath, { force: true })
+    : writeFile(outputPath, previous)));
+}
@@ -0,0 +1,123 @@
+import fs from 'fs';
+import path from 'path';
+
+// Default time to wait for writes to settle before reporting changes
+export const DEFAULT_WATCH_DEBOUNCE = 300;
+
+// Directories that are never watched
+const IGNORED_DIRECTORIES = ['node_modules', '.git'];
+
+/**
+ * Checks if a path is inside an ignored directory
+ * @param {string} filePath - Absolute path
+ * @returns {boolean} - True if the path should be ignored
+ */
+function isIgnored(filePath) {
+  return filePath.split(path.sep).some(segment => IGNORED_DIRECTORIES.includes(segment));
+}
+
+/**
+ * Removes directories that are inside another directory of the list
+ * @param {string[]} directories - Absolute directory paths
+ * @returns {string[]} - Outermost directories
+ */
+function getOutermostDirectories(directories) {
+  const unique = [...new Set(directories)].sort();
+  return unique.filter(directory => !unique.some(other => (
+    other !== directory && !path.relative(other, directory).startsWith('..')
+  )));
+}
+
+/**
+ * Watches directories recursively and reports changed files once writes settle
+ * @param {string[]} directories - Directories to watch
+ * @param {Function} onChange - Called with the absolute paths of the changed files
+ * @param {number} [debounce] - Milliseconds without events before onChange is called
+ * @returns {{close: Function}} - Watcher handle
+ */
+export function watchDirectories(directories, onChange, debounce = DEFAULT_WATCH_DEBOUNCE) {
+  const watchers = new Map();
+  const changed = new Set();
+  let timer = null;
+
+  // Bundlers write the same file several times, so report once they are done
+  const record = (filePath) => {
+    if (isIgnored(filePath)) {
+      return;
+    }
+    changed.add(filePath);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const paths = [...changed];
+      changed.clear();
+      onChange(paths);
+    }, debounce);
+  };
+
+  const addWatcher = (directory, recursive) => {
+    const watcher = fs.watch(directory, { recursive }, (event, filename) => {
+      if (!filename) {
+        return;
+      }
+      const filePath = path.resolve(directory, filename.toString());
+      record(filePath);
+
+      // Without recursive watching, new subdirectories need their own watcher
+      if (!recursive && event === 'rename') {
+        watchTree(filePath);
+      }
+    });
+
+    // A watched directory that is removed stops emitting events
+    watcher.on('error', () => {
+      watcher.close();
+      watchers.delete(directory);
+    });
+    watchers.set(directory, watcher);
+  };
+
+  // Fallback for platforms without recursive fs.watch (Linux before Node.js 19.1), and used on Linux
+  const watchTree = (directory) => {
+    if (watchers.has(directory) || isIgnored(directory)) {
+      return;
+    }
+
+    let entries;
+    try {
+      entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch (error) {
+      // Not a directory, or already removed
+      return;
+    }
+
+    addWatcher(directory, false);
+    entries
+      .filter(entry => entry.isDirectory())
+      .forEach(entry => watchTree(path.join(directory, entry.name)));
+  };
+
+  for (const directory of getOutermostDirectories(directories.map(dir => path.resolve(dir)))) {
+    // Recursive watching on Linux follows each file, and loses files replaced by a rename,
+    // as outputs protected in place are, so directories are watched one by one there
+    if (process.platform === 'linux') {
+      watchTree(directory);
+      continue;
+    }
+    try {
+      addWatcher(directory, true);
+    } catch (error) {
+      if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+        throw error;
+      }
+      watchTree(directory);
+    }
+  }
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+      watchers.clear();
+    }
+  };
+}